@@ -11,17 +11,63 @@ const Bottleneck = require('bottleneck');
 const moment = require('moment-timezone');
 const merge = require('deepmerge');
 const hashObject = require('object-hash');
+const fs = require('fs/promises');
+const path = require('path');
+const net = require('net');
+const timers = require('timers/promises');
 const srcset = require('srcset');
+const { SocksClient } = require('socks');
+const psl = require('psl');
+
+const pkg = require('../package.json');
 
 const settings = {
 	throwErrors: false,
 	logErrors: true,
 	userAgent: 'unprint',
 	timeout: 60_000,
+	agent: { // connection pools, shared by requests with the same proxy and timeout
+		connections: null, // per origin, unlimited by default
+		keepAliveTimeout: 4_000, // ms
+		keepAliveMaxTimeout: 600_000, // ms
+		pipelining: 1,
+	},
 	remote: {
 		enable: false,
 		address: 'ws://127.0.0.1:3333/browser',
 		use: false,
+		mode: 'browser', // browser to drive the remote browser, http to let the remote scrape the page
+	},
+	retries: {
+		count: 0,
+		statuses: [408, 429, 500, 502, 503, 504],
+		backoff: 1000, // ms, doubled every attempt
+		jitter: 0.5, // up to 50% random extra delay
+		maxDelay: 60_000,
+	},
+	sessions: {
+		persist: true, // save storage state to disk, otherwise it only survives browser retirement
+		dir: '.unprint-sessions',
+	},
+	cache: {
+		enable: true,
+		use: false,
+		dir: '.unprint-cache',
+		ttl: 3_600_000, // 1 hour
+		headers: ['accept', 'accept-language', 'authorization', 'content-type', 'cookie'],
+	},
+	limitBy: 'hostname', // every hostname gets its own queue
+	limitIdleTimeout: 600_000, // ms, queues without requests for this long are removed
+	throttle: {
+		adaptive: false,
+		statuses: [429, 503],
+		latency: 3, // slow down when a response takes this many times longer than average
+		minLatency: 1000, // ms, faster responses are never slow, averages of a few ms are mostly jitter
+		backoff: 2, // multiply interval
+		minInterval: 1000, // ms, interval to start backing off from
+		maxInterval: 60_000,
+		successes: 20, // relax after this many successes in a row
+		relax: 0.5, // multiply interval, until the configured interval is reached
 	},
 	limits: {
 		default: {
@@ -38,23 +84,53 @@ const settings = {
 const virtualConsole = new VirtualConsole();
 const { window: globalWindow } = new JSDOM('', { virtualConsole });
 
-let globalOptions = {
-	...settings,
-};
-
-const events = new EventEmitter();
 const arrayMerge = (_destinationArray, sourceArray) => sourceArray;
 
-function configure(newOptions) {
-	globalOptions = merge(globalOptions, newOptions, { arrayMerge });
+function curateCacheOptions(options) {
+	// cache: true is shorthand for using the cache, merging it would replace the configured dir and ttl
+	if (typeof options?.cache === 'boolean') {
+		return {
+			...options,
+			cache: { use: options.cache },
+		};
+	}
+
+	return options;
+}
+
+function createInstance(instanceOptions = {}) {
+	// everything a scraper can configure or accumulate, so instances don't clobber each other
+	return {
+		options: merge(settings, curateCacheOptions(instanceOptions), { arrayMerge }),
+		limiters: new Map(),
+		clients: new Map(),
+		dispatchers: new Map(),
+		sessions: new Map(), // latest storage state per session, outlives the browser clients
+		proxies: {
+			next: 0, // round-robin position
+			assignments: new Map(), // sticky hostnames or sessions
+			failures: new Map(),
+			ejected: new Map(),
+			healthCheck: null,
+		},
+		events: new EventEmitter(),
+	};
+}
+
+const defaultInstance = createInstance();
+
+/* eslint-disable no-param-reassign */
+function configure(instance, newOptions) {
+	instance.options = merge(instance.options, curateCacheOptions(newOptions), { arrayMerge });
 }
+/* eslint-enable no-param-reassign */
 
-function handleError(error, code) {
-	if (globalOptions.logErrors) {
+function handleError(error, code, options = defaultInstance.options) {
+	if (options.logErrors) {
 		console.error(`unprint encountered an error (${code}): ${error.message}`);
 	}
 
-	if (globalOptions.throwErrors) {
+	if (options.throwErrors) {
 		throw Object.assign(error, { code });
 	}
 
@@ -739,746 +815,3429 @@ function queryJsons(context, selector, customOptions) {
 	return dataStrings.map((dataString) => extractJson(dataString)).filter(Boolean);
 }
 
-function extractDate(dateString, format, customOptions) {
-	if (!dateString) {
-		return null;
-	}
+/* eslint-disable no-use-before-define, no-param-reassign */
+// parses JavaScript object literals without evaluating them, values that can't be determined statically (references, functions, calls) become undefined
+function skipLiteralWhitespace(state) {
+	const whitespaceRegex = /(\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)+/y;
 
-	/*
-	if (!format) {
-		return handleError(new Error('Missing required date format parameter'), 'NO_DATE_FORMAT');
+	whitespaceRegex.lastIndex = state.index;
+
+	if (whitespaceRegex.exec(state.string)) {
+		state.index = whitespaceRegex.lastIndex;
 	}
-	*/
+}
 
-	const options = {
-		match: /((\d{1,4}[/-]\d{1,2}[/-]\d{1,4})|(\w+\s+\d{1,2}([a-z]{2})?,?\s+\d{4})|(\d{1,2}-\w+-\d{2,4}))((T|\s+)\d{1,2}:\d{2}(:\d{2})?)?/gi, // matches any of 01-01-1970, 1970-01-01, 01-Jan-70 and January 1, 1970 with optional 00:00[:00] time
-		matchIndex: 0,
-		timezone: 'UTC',
-		...customOptions,
-	};
+function skipLiteralRegex(state) {
+	let isClass = false;
 
-	const dateStamp = options.match
-		? trim(dateString).match(options.match)
-		: trim(dateString);
+	state.index += 1;
 
-	if (dateStamp) {
-		const dateValue = moment.tz(options.match ? dateStamp[options.matchIndex] : dateStamp, format, options.timezone);
+	while (state.index < state.string.length) {
+		const char = state.string[state.index];
 
-		if (dateValue.isValid()) {
-			return dateValue.toDate();
+		if (char === '\n') {
+			// regular expressions can't span lines, this was something else
+			return;
+		}
+
+		state.index += 1;
+
+		if (char === '\\') {
+			state.index += 1;
+		} else if (char === '[') {
+			isClass = true;
+		} else if (char === ']') {
+			isClass = false;
+		} else if (char === '/' && !isClass) {
+			break;
 		}
 	}
 
-	return null;
-}
+	const flagsRegex = /[a-z]*/y;
 
-function queryDate(context, selector, format, customOptions) {
-	const dateString = queryContent(context, selector, customOptions);
+	flagsRegex.lastIndex = state.index;
+	flagsRegex.exec(state.string);
 
-	return extractDate(dateString, format, {
-		...context.options,
-		...customOptions,
-	});
+	state.index = flagsRegex.lastIndex;
 }
 
-function queryDates(context, selector, format, customOptions) {
-	const dateStrings = queryContents(context, selector, customOptions);
+// skips to the next , ; or unmatched closing bracket outside of brackets, strings, templates and regular expressions
+function skipLiteralExpression(state) {
+	let depth = 0;
+	let previous = null; // last significant character, tells a regular expression from a division
+
+	while (state.index < state.string.length) {
+		const char = state.string[state.index];
+		const nextChar = state.string[state.index + 1];
+
+		if (char === '"' || char === '\'' || char === '`') {
+			parseLiteralString(state);
+			previous = char;
+		} else if (char === '/' && (nextChar === '/' || nextChar === '*')) {
+			skipLiteralWhitespace(state);
+		} else if (char === '/' && (previous === null || /[(,=:[!&|?{};+\-*%<>~^]/.test(previous))) {
+			skipLiteralRegex(state);
+			previous = char;
+		} else {
+			if (char === '{' || char === '[' || char === '(') {
+				depth += 1;
+			} else if (char === '}' || char === ']' || char === ')') {
+				if (depth === 0) {
+					return undefined;
+				}
 
-	return dateStrings.map((dateString) => extractDate(dateString, format, {
-		...context.options,
-		customOptions,
-	}));
-}
+				depth -= 1;
+			} else if ((char === ',' || char === ';') && depth === 0) {
+				return undefined;
+			}
 
-const periodRegex = /years?|months?|weeks?|days?/;
+			if (!/\s/.test(char)) {
+				previous = char;
+			}
 
-function extractDateAgo(dateString, customOptions) {
-	if (!dateString) {
-		return null;
+			state.index += 1;
+		}
 	}
 
-	const options = {
-		match: /(\d+)\s*(\w+)/i,
-		...customOptions,
-	};
+	return undefined;
+}
 
-	const timeMatch = dateString.toLowerCase().match(options.match);
+// a member that isn't a plain literal, such as an expression or a function, is skipped on its own and becomes undefined
+function parseLiteralMember(state, closingChar) {
+	const startIndex = state.index;
 
-	if (timeMatch) {
-		const [n, period] = timeMatch.slice(1);
+	try {
+		const value = parseLiteralValue(state);
 
-		if (periodRegex.test(period)) {
-			const thenDate = moment.utc().subtract(Number(n), period);
+		skipLiteralWhitespace(state);
 
-			return {
-				date: thenDate.toDate(),
-				precision: period.replace(/s$/, ''),
-			};
+		if (state.string[state.index] === ',' || state.string[state.index] === closingChar) {
+			return value;
 		}
+	} catch (_error) {
+		// not a literal
 	}
 
-	return null;
+	state.index = startIndex;
+
+	return skipLiteralExpression(state);
 }
 
-function queryDateAgo(context, selector, customOptions) {
-	const dateString = queryContent(context, selector, customOptions);
+const literalEscapes = {
+	n: '\n',
+	r: '\r',
+	t: '\t',
+	b: '\b',
+	f: '\f',
+	v: '\v',
+	0: '\0',
+};
 
-	return extractDateAgo(dateString, customOptions);
-}
+function parseLiteralString(state) {
+	const quote = state.string[state.index];
+	let value = '';
+	let isResolvable = true;
 
-function queryDatesAgo(context, selector, customOptions) {
-	const dateStrings = queryContents(context, selector, customOptions);
+	state.index += 1;
 
-	return dateStrings
-		.map((dateString) => extractDateAgo(dateString, customOptions))
-		.filter(Boolean);
-}
+	while (state.index < state.string.length) {
+		const char = state.string[state.index];
 
-function formatDate(dateValue, format, inputFormat) {
-	if (inputFormat) {
-		return moment(dateValue, inputFormat).format(format);
+		if (char === quote) {
+			state.index += 1;
+
+			return isResolvable ? value : undefined;
+		}
+
+		if (quote === '`' && char === '$' && state.string[state.index + 1] === '{') {
+			// template literal interpolation can't be resolved, skip to the end of the template
+			state.index += 2;
+			skipLiteralExpression(state);
+			state.index += 1;
+
+			isResolvable = false;
+		} else if (char === '\\') {
+			const escapeChar = state.string[state.index + 1];
+			const unicodeMatch = state.string.slice(state.index + 1, state.index + 12).match(/^(x[\da-f]{2}|u[\da-f]{4}|u\{[\da-f]+\})/i);
+
+			if (unicodeMatch) {
+				value += String.fromCodePoint(parseInt(unicodeMatch[0].replace(/[xu{}]/gi, ''), 16));
+				state.index += unicodeMatch[0].length + 1;
+			} else {
+				// line continuations are removed, unknown escapes resolve to the character itself
+				value += escapeChar === '\n' ? '' : (literalEscapes[escapeChar] ?? escapeChar);
+				state.index += 2;
+			}
+		} else {
+			value += char;
+			state.index += 1;
+		}
 	}
 
-	return moment(dateValue).format(format);
+	throw new Error('Unterminated string');
 }
 
-function extractDuration(durationString, match) {
-	const durationMatch = durationString?.match(match || /(\d+:)?\d+:\d+/);
+function parseLiteralNumber(state) {
+	const numberRegex = /([-+]?)\s*(0x[\da-f]+|0o[0-7]+|0b[01]+|Infinity|NaN|(\d[\d_]*)?\.?\d*(e[-+]?\d+)?)/iy;
 
-	if (durationMatch) {
-		const segments = ['00'].concat(durationMatch[0].split(/[:hm]/)).slice(-3);
+	numberRegex.lastIndex = state.index;
 
-		return moment.duration(segments.join(':')).asSeconds();
+	const match = numberRegex.exec(state.string);
+
+	if (!match || !match[2]) {
+		throw new Error(`Unexpected character at ${state.index}`);
 	}
 
-	return null;
+	state.index = numberRegex.lastIndex;
+
+	const number = Number(match[2].replace(/_/g, ''));
+
+	return match[1] === '-' ? -number : number;
 }
 
-function extractTimestamp(durationString) {
-	const timestampMatch = durationString?.match(/(\d+\s*H)?.*(\d+\s*M)?.*(\d+\s*(S|$))?/i)?.[0];
+function parseLiteralArray(state) {
+	const values = [];
 
-	if (timestampMatch) {
-		const hours = timestampMatch.match(/(\d+)\s*H/i)?.[1] || 0;
-		const minutes = timestampMatch.match(/(\d+)\s*M/i)?.[1] || 0;
-		const seconds = timestampMatch.match(/(\d+)\s*(s(ec\w*)?)|$/i)?.[1] || 0;
+	state.index += 1;
 
-		return (Number(hours) * 3600) + (Number(minutes) * 60) + Number(seconds);
+	while (state.index < state.string.length) {
+		skipLiteralWhitespace(state);
+
+		if (state.string[state.index] === ']') {
+			state.index += 1;
+
+			return values;
+		}
+
+		// elisions, e.g. [1, , 3], are holes
+		values.push(state.string[state.index] === ',' ? undefined : parseLiteralMember(state, ']'));
+		skipLiteralWhitespace(state);
+
+		if (state.string[state.index] === ',') {
+			state.index += 1;
+		} else if (state.string[state.index] !== ']') {
+			throw new Error(`Unexpected character in array at ${state.index}`);
+		}
 	}
 
-	return null;
+	throw new Error('Unterminated array');
 }
 
-function queryDuration(context, selector, customOptions) {
-	const options = { ...customOptions };
-	const durationString = queryContent(context, selector, customOptions);
+function parseLiteralKey(state) {
+	const char = state.string[state.index];
 
-	if (!durationString) {
-		return null;
+	if (char === '"' || char === '\'') {
+		return parseLiteralString(state);
 	}
 
-	if (options.match) {
-		return extractDuration(durationString, options.match);
-	}
+	const keyRegex = /[\w$]+/y;
 
-	return extractDuration(durationString)
-		|| extractTimestamp(durationString)
-		|| null;
-}
+	keyRegex.lastIndex = state.index;
 
-const queryFns = {
-	element: queryElement,
-	elements: queryElements,
-	el: queryElement,
-	els: queryElements,
-	all: queryElements,
-	content: queryContent,
-	contents: queryContents,
-	attribute: queryAttribute,
-	attributes: queryAttributes,
-	attr: queryAttribute,
-	attrs: queryAttributes,
-	background: queryBackground,
-	backgrounds: queryBackgrounds,
-	dataset: queryDataset,
-	datasets: queryDatasets,
-	data: queryDataset,
-	datas: queryDatasets,
-	exists: queryExistence,
-	count: queryCount,
-	html: queryHtml,
-	htmls: queryHtmls,
-	image: queryImage,
-	images: queryImages,
-	img: queryImage,
-	imgs: queryImages,
-	json: queryJson,
-	jsons: queryJsons,
-	style: queryStyle,
-	styles: queryStyles,
-	styleUrl: queryStyleUrl,
-	styleUrls: queryStyleUrls,
-	number: queryNumber,
-	num: queryNumber,
-	numbers: queryNumbers,
-	nums: queryNumbers,
-	poster: queryPoster,
-	posters: queryPosters,
-	date: queryDate,
-	dates: queryDates,
-	dateAgo: queryDateAgo,
-	datesAgo: queryDatesAgo,
-	dateAgos: queryDatesAgo,
-	duration: queryDuration,
-	dur: queryDuration,
-	sourceSet: querySourceSet,
-	sourceSets: querySourceSets,
-	srcSet: querySourceSet,
-	srcSets: querySourceSets,
-	text: queryText,
-	texts: queryTexts,
-	url: queryUrl,
-	urls: queryUrls,
-	video: queryVideo,
-	videos: queryVideos,
-};
+	const match = keyRegex.exec(state.string);
 
-function isDomObject(element) {
-	if (!element) {
-		return false;
+	if (!match) {
+		throw new Error(`Unexpected character in object key at ${state.index}`);
 	}
 
-	return typeof element.nodeType !== 'undefined';
+	state.index = keyRegex.lastIndex;
+
+	return match[0];
 }
 
-function initQueryFns(fns, context) {
-	if (context) {
-		return Object.fromEntries(Object.entries(fns).map(([key, fn]) => [key, (...args) => {
-			events.emit('query', {
-				key,
-				args,
-				origin: context.options.origin,
-			});
+function parseLiteralObject(state) {
+	const object = {};
 
-			return fn(context, ...args);
-		}]));
-	}
+	state.index += 1;
 
-	// context is passed directly to query method
-	return Object.fromEntries(Object.entries(fns).map(([key, fn]) => [key, (...args) => {
-		// first argument is already an unprint context. this seems like a convoluted approach, but there is little reason not to allow it
-		if (args[0]?.isUnprint) {
-			events.emit('query', {
-				key,
-				args,
-			});
+	while (state.index < state.string.length) {
+		skipLiteralWhitespace(state);
 
-			return fn(...args);
+		if (state.string[state.index] === '}') {
+			state.index += 1;
+
+			return object;
 		}
 
-		// most common usage is to pass an element directly, convert to context
-		if (isDomObject(args[0])) {
-			const element = args[0];
+		const key = parseLiteralKey(state);
 
-			events.emit('query', {
-				key,
-				args,
-			});
+		skipLiteralWhitespace(state);
 
-			return fn({
-				element,
-				html: element.outerHTML || element.body?.outerHTML,
-				isUnprint: true,
-			}, ...args.slice(1));
+		if (state.string[state.index] !== ':') {
+			throw new Error(`Expected : in object at ${state.index}`);
 		}
 
-		return handleError(new Error('Context is not provided or initialized'), 'INVALID_CONTEXT');
-	}]));
-}
+		state.index += 1;
+		skipLiteralWhitespace(state);
 
-function init(elementOrHtml, selector, options = {}) {
-	if (!elementOrHtml) {
-		return null;
+		object[key] = parseLiteralMember(state, '}');
+
+		skipLiteralWhitespace(state);
+
+		if (state.string[state.index] === ',') {
+			state.index += 1;
+		} else if (state.string[state.index] !== '}') {
+			throw new Error(`Unexpected character in object at ${state.index}`);
+		}
 	}
 
-	if (typeof elementOrHtml === 'string') {
-		// the context should be raw HTML
-		const { window } = new JSDOM(elementOrHtml, { virtualConsole, ...options.parser });
+	throw new Error('Unterminated object');
+}
 
-		return init(window.document, selector, { ...options, window });
+const literalIdentifiers = {
+	true: true,
+	false: false,
+	null: null,
+	undefined,
+	NaN,
+	Infinity,
+};
+
+function parseLiteralValue(state) {
+	skipLiteralWhitespace(state);
+
+	const char = state.string[state.index];
+
+	if (char === '{') {
+		return parseLiteralObject(state);
 	}
 
-	if (!isDomObject(elementOrHtml)) {
-		// the context is not a valid
-		return handleError(new Error('Init context is not a DOM element, HTML or an array'), 'INVALID_CONTEXT');
+	if (char === '[') {
+		return parseLiteralArray(state);
 	}
 
-	const element = selector
-		? queryElement({ element: elementOrHtml }, selector)
-		: elementOrHtml;
+	if (char === '"' || char === '\'' || char === '`') {
+		return parseLiteralString(state);
+	}
 
-	if (!element) {
-		return null;
+	if (char === '!') {
+		// minified booleans, !0 and !1
+		state.index += 1;
+
+		return !parseLiteralValue(state);
 	}
 
-	const context = {
-		element,
-		html: element.outerHTML || element.body?.outerHTML,
-		...(options.window && {
-			window: options.window,
-			document: options.window.document,
-		}),
-		options,
-		isUnprint: true,
-	};
+	if (/[-+.\d]/.test(char)) {
+		return parseLiteralNumber(state);
+	}
 
-	context.query = initQueryFns(queryFns, context);
+	const identifierRegex = /[\w$]+(\s*\.\s*[\w$]+)*/y;
 
-	return context;
-}
+	identifierRegex.lastIndex = state.index;
 
-function initAll(context, selector, options = {}) {
-	if (Array.isArray(context)) {
-		return context.map((element) => init(element, selector, options));
+	const identifier = identifierRegex.exec(state.string)?.[0];
+
+	if (!identifier) {
+		throw new Error(`Unexpected character at ${state.index}`);
 	}
 
-	if (typeof context === 'string') {
-		// the context should be raw HTML
-		const { window } = new JSDOM(context, { virtualConsole, ...options.parser });
+	if (Object.hasOwn(literalIdentifiers, identifier)) {
+		state.index = identifierRegex.lastIndex;
 
-		return initAll(window.document, selector, { ...options, window });
+		return literalIdentifiers[identifier];
 	}
 
-	if (!isDomObject(context)) {
-		// the context is not a valid
-		return handleError(new Error('Init context is not a DOM element, HTML or an array'), 'INVALID_CONTEXT');
+	if (identifier.replace(/\s/g, '') === 'JSON.parse') {
+		state.index = identifierRegex.lastIndex;
+		skipLiteralWhitespace(state);
+
+		if (state.string[state.index] === '(') {
+			state.index += 1;
+
+			const value = parseLiteralValue(state);
+
+			skipLiteralWhitespace(state);
+
+			if (state.string[state.index] === ')') {
+				state.index += 1;
+			}
+
+			return extractJson(value);
+		}
 	}
 
-	return queryElements({ element: context }, selector)
-		.map((element) => init(element, null, options));
+	return skipLiteralExpression(state);
 }
+/* eslint-enable no-use-before-define, no-param-reassign */
 
-const limiters = {
-	default: new Bottleneck(),
-};
+function extractLiteral(string, index = 0) {
+	const state = { string, index };
 
-function getLimiterValue(prop, options, hostname) {
-	if (options[prop] !== undefined) {
-		return options[prop];
+	try {
+		return parseLiteralValue(state);
+	} catch (_error) {
+		return undefined;
 	}
+}
 
-	if (options.limits[hostname]?.enable !== false && options.limits[hostname]?.[prop] !== undefined) {
-		return options.limits[hostname][prop];
+function extractScriptVariable(string, name) {
+	if (!string || !name) {
+		return null;
 	}
 
-	return options.limits[options?.limiter || 'default'][prop];
-}
+	// matches var name =, window.name =, window['name'] = and name: in object literals
+	const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	const assignmentRegex = new RegExp(`(?:^|[^\\w$])${escapedName}['"]?\\s*\\]?\\s*(?:=(?![=>])|:)\\s*`, 'g');
 
-function getLimiter(url, options) {
-	const { hostname } = new URL(url);
+	const values = Array.from(string.matchAll(assignmentRegex), (match) => extractLiteral(string, match.index + match[0].length));
 
-	const interval = getLimiterValue('interval', options, hostname);
-	const concurrency = getLimiterValue('concurrency', options, hostname);
+	return values.find((value) => value !== undefined) ?? null;
+}
 
-	if (!limiters[interval]?.[concurrency]) {
-		limiters[interval] = limiters[interval] || {};
+function extractJsonp(string) {
+	if (!string) {
+		return null;
+	}
 
-		limiters[interval][concurrency] = new Bottleneck({
-			minTime: interval,
-			maxConcurrent: concurrency,
-			timeout: options.timeout + 10000, // timeout 10 seconds after axious should
-		});
+	const callbackMatch = string.match(/^[\s;]*(\/\*[\s\S]*?\*\/\s*)?(typeof\s+[\w$.]+\s*===?\s*['"]function['"]\s*&&\s*)?[\w$.]+\s*\(/);
+
+	if (!callbackMatch) {
+		return null;
 	}
 
-	return {
-		limiter: limiters[interval][concurrency],
-		interval,
-		concurrency,
-	};
+	const state = { string, index: callbackMatch[0].length };
+
+	try {
+		const value = parseLiteralValue(state);
+
+		skipLiteralWhitespace(state);
+
+		// the callback must wrap the entire payload, otherwise it's a script that merely starts with a call
+		if (!/^\)[\s;]*$/.test(string.slice(state.index))) {
+			return null;
+		}
+
+		return value ?? null;
+	} catch (_error) {
+		return null;
+	}
 }
 
-function getCookie(options) {
-	const headerCookieData = options.headers?.cookie || options.headers?.Cookie || null;
-	const headerCookies = headerCookieData && cookie.parseCookie(headerCookieData);
+const jsonpParams = ['callback', 'jsonp', 'cb'];
 
-	if (typeof options.cookies === 'object') {
-		return cookie.stringifyCookie({
-			...headerCookies,
-			...options.cookies,
-		});
+function isJsonpRequest(url, options) {
+	if (typeof options?.jsonp === 'boolean') {
+		return options.jsonp;
 	}
 
-	if (typeof options.cookies === 'string') {
-		const cookieData = cookie.parseCookie(options.cookies);
+	try {
+		const { searchParams } = new URL(url);
 
-		return cookie.stringifyCookie({
-			...headerCookies,
-			...cookieData,
-		});
+		return jsonpParams.some((param) => searchParams.has(param));
+	} catch (_error) {
+		return false;
 	}
+}
 
-	return headerCookieData;
+function queryScriptVariable(context, name, customOptions) {
+	const options = {
+		selector: 'script',
+		...customOptions,
+		trim: false, // whitespace may be significant inside strings
+	};
+
+	const scripts = queryContents(context, options.selector, options);
+
+	return scripts.reduce((acc, script) => acc ?? extractScriptVariable(script, name), null);
 }
 
-function curateHeaders(headers, options) {
-	if (headers && options.defaultHeaders !== false) {
-		return Object.fromEntries(Object.entries(headers)
-			.map(([key, value]) => [key.toLowerCase(), value])
-			.filter(([_key, value]) => value !== null));
+function getSelectorOptions(selector, customOptions) {
+	// methods with a sensible default selector accept options as the first argument
+	if (selector && typeof selector === 'object' && !Array.isArray(selector)) {
+		return [null, selector];
 	}
 
-	return headers;
+	return [selector, customOptions];
 }
 
-function curateCookies(res, options) {
-	if (res?.headers) {
-		const setCookie = typeof res.headers.get === 'function'
-			? res.headers.get('set-cookie')
-			: res.headers['set-cookie'];
+function matchesType(itemType, type) {
+	if (!type) {
+		return true;
+	}
 
-		if (setCookie) {
-			try {
-				const cookies = parseSetCookie(res, { map: true, decode: false });
+	const itemTypes = [].concat(itemType).filter(Boolean);
 
-				if (options.fullCookies) {
-					return cookies;
-				}
+	// schema types may be full URLs, e.g. https://schema.org/VideoObject
+	return [].concat(type).some((filterType) => itemTypes.some((candidate) => candidate === filterType || candidate.endsWith(`/${filterType}`)));
+}
 
-				return Object.fromEntries(Object.entries(cookies).map(([_key, value]) => [value.name, value.value]));
-			} catch (_error) {
-				// invalid cookie
-			}
+function flattenJsonLd(data) {
+	if (Array.isArray(data)) {
+		return data.flatMap((item) => flattenJsonLd(item));
+	}
+
+	if (data && typeof data === 'object') {
+		if (Array.isArray(data['@graph'])) {
+			return flattenJsonLd(data['@graph']);
 		}
+
+		return [data];
 	}
 
-	return null;
+	return [];
 }
 
-function curateResponse(res, data, options, { url, control, customOptions }) {
-	const base = {
-		ok: res.ok ?? true,
-		data,
-		body: data,
-		status: res.statusCode || res.status,
-		statusText: res.statusText,
-		headers: res.headers,
-		cookies: curateCookies(res, customOptions),
-		response: res,
-		res,
-		control,
-	};
+function queryJsonLds(context, selector, customOptions) {
+	const [targetSelector, options] = getSelectorOptions(selector, customOptions);
 
-	if (res.headers && ['application/json', 'application/javascript'].some((type) => {
-		if (typeof res.headers.get === 'function') {
-			return res.headers.get('content-type')?.includes(type);
-		}
+	const dataStrings = queryContents(context, targetSelector || 'script[type="application/ld+json"]', options);
 
-		return res.headers['content-type']?.includes(type);
-	})) {
-		if (typeof data === 'object') {
-			return {
-				...base,
-				data,
-			};
+	return dataStrings
+		.map((dataString) => extractJson(dataString.replace(/^\s*(<!--|\/\/\s*<!\[CDATA\[)|(-->|\/\/\s*\]\]>)\s*$/g, '')))
+		.flatMap((data) => flattenJsonLd(data))
+		.filter((data) => matchesType(data['@type'], options?.type));
+}
+
+function queryJsonLd(context, selector, customOptions) {
+	return queryJsonLds(context, selector, customOptions)[0] || null;
+}
+
+function queryMeta(context, selector, customOptions) {
+	const [targetSelector, options] = getSelectorOptions(selector, customOptions);
+	const prefix = options?.prefix ? `${options.prefix}:` : null;
+
+	return queryElements(context, targetSelector || 'meta', options).reduce((acc, element) => {
+		const key = (element.getAttribute('property') || element.getAttribute('name') || element.getAttribute('itemprop') || element.getAttribute('http-equiv'))?.trim().toLowerCase();
+		const value = element.getAttribute('content');
+
+		if (!key || value === null || (prefix && !key.startsWith(prefix))) {
+			return acc;
 		}
 
-		try {
-			return {
-				...base,
-				data: JSON.parse(data),
-			};
-		} catch (error) {
+		const curatedKey = prefix ? key.slice(prefix.length) : key;
+
+		if (Object.hasOwn(acc, curatedKey)) {
+			// repeated properties, e.g. multiple og:image
 			return {
-				...base,
-				data,
+				...acc,
+				[curatedKey]: [].concat(acc[curatedKey], trim(value)),
 			};
 		}
-	}
-
-	if (!options.extract) {
-		return base;
-	}
-
-	const contextOptions = {
-		...customOptions,
-		origin: url,
-	};
-
-	const context = options.selectAll
-		? initAll(data, options.selectAll, contextOptions)
-		: init(data, options.select, contextOptions);
 
-	return {
-		...base,
-		context,
-	};
+		return {
+			...acc,
+			[curatedKey]: trim(value),
+		};
+	}, {});
 }
 
-/* eslint-disable no-param-reassign */
-const clients = new Map();
+function queryOpenGraph(context, selector, customOptions) {
+	const [targetSelector, options] = getSelectorOptions(selector, customOptions);
 
-async function getBrowserContext(browser, options, useProxy) {
-	return browser.newContext({
-		userAgent: options.browserUserAgent || options.userAgent,
-		...options.context,
-		...(useProxy && {
-			proxy: {
-				server: `${options.proxy.host}:${options.proxy.port}`,
-			},
-		}),
-		extraHTTPHeaders: curateHeaders({
-			...options.headers,
-			cookie: getCookie(options),
-		}, options),
+	return queryMeta(context, targetSelector, {
+		prefix: 'og',
+		...options,
 	});
 }
 
-/* eslint-enable no-param-reassign */
-async function getBrowserInstance(scope, options, useProxy = false, useRemote = false) {
-	const scopeKey = `${scope}_${useRemote ? 'remote' : 'local'}_${useProxy ? 'proxy' : 'direct'}_${options.browser ? hashObject(options.browser) : 'default'}_${options.context ? hashObject(options.context) : 'default'}`;
-	const now = new Date();
+const microdataUrlAttributes = {
+	a: 'href',
+	area: 'href',
+	link: 'href',
+	audio: 'src',
+	embed: 'src',
+	iframe: 'src',
+	img: 'src',
+	source: 'src',
+	track: 'src',
+	video: 'src',
+	object: 'data',
+};
 
-	if (clients.has(scopeKey)) {
-		const client = clients.get(scopeKey);
+function extractMicrodataValue(element, options) {
+	if (element.hasAttribute('itemscope')) {
+		return extractMicrodataItem(element, options); // eslint-disable-line no-use-before-define
+	}
 
-		client.uses += 1;
-		client.lastUsedAt = now;
+	const tagName = element.nodeName.toLowerCase();
 
-		if (client.uses >= (options.clientRetirement || 20)) {
-			client.retired = true;
-			clients.delete(scopeKey);
-		}
+	if (tagName === 'meta') {
+		return trim(element.getAttribute('content'));
+	}
 
-		await client.launchers;
+	if (microdataUrlAttributes[tagName]) {
+		return prefixUrl(element.getAttribute(microdataUrlAttributes[tagName]), options.origin, options);
+	}
 
-		return client;
+	if (tagName === 'data' || tagName === 'meter') {
+		return element.getAttribute('value');
 	}
 
-	// if we await here, we create a race condition, and a second call to getBrowserInstance would launch another browser that will overwrite the first one
-	const launchers = (useRemote
-		? chromium.connect(options.remote.address, {
-			headers: {
-				'unprint-key': options.remote.key,
-			},
-		})
-		: chromium.launch({
-			headless: true,
-			...options.browser,
-		})).then(async (browser) => { // eslint-disable-line arrow-body-style
-			// legacy
-			// const context = await getBrowserContext(browser, options, useProxy);
+	if (tagName === 'time' && element.hasAttribute('datetime')) {
+		return element.getAttribute('datetime');
+	}
 
-			return { browser };
-		});
+	return trim(element.textContent);
+}
 
-	const client = {
-		key: scopeKey,
-		launchers,
-		active: 0,
-		uses: 1,
-		retired: false,
-		isRemote: useRemote,
-		createdAt: now,
-		lastUsedAt: now,
-	};
+function collectMicrodataProperties(element, options, properties = {}) {
+	return Array.from(element.children).reduce((acc, child) => {
+		const propertyNames = child.getAttribute('itemprop')?.trim().split(/\s+/) || [];
+		const value = propertyNames.length > 0 ? extractMicrodataValue(child, options) : null;
+
+		const childProperties = propertyNames.reduce((propertyAcc, propertyName) => ({
+			...propertyAcc,
+			[propertyName]: Object.hasOwn(propertyAcc, propertyName)
+				? [].concat(propertyAcc[propertyName], value)
+				: value,
+		}), acc);
+
+		if (child.hasAttribute('itemscope')) {
+			// properties inside a nested item belong to that item
+			return childProperties;
+		}
 
-	if (scope) {
-		clients.set(scopeKey, client);
-	}
+		return collectMicrodataProperties(child, options, childProperties);
+	}, properties);
+}
 
-	try {
-		// const { browser, context } = await launchers;
-		const { browser } = await launchers;
+function extractMicrodataItem(element, options) {
+	const itemType = element.getAttribute('itemtype')?.trim();
+	const itemId = element.getAttribute('itemid')?.trim();
 
-		// context.setDefaultNavigationTimeout(options.timeout);
+	return {
+		...(itemType && { '@type': itemType.includes(' ') ? itemType.split(/\s+/) : itemType }),
+		...(itemId && { '@id': itemId }),
+		...collectMicrodataProperties(element, options),
+	};
+}
 
-		client.browser = browser;
-		// client.context = context;
-	} catch (error) {
-		clients.delete(scopeKey);
+function queryMicrodatas(context, selector, customOptions) {
+	const [targetSelector, customTargetOptions] = getSelectorOptions(selector, customOptions);
 
-		return error;
-	}
+	const options = {
+		origin: context.options.origin,
+		...customTargetOptions,
+	};
 
-	return client;
+	return queryElements(context, targetSelector || '[itemscope]:not([itemprop])', options)
+		.map((element) => extractMicrodataItem(element, options))
+		.filter((item) => matchesType(item['@type'], options.type));
 }
 
-function getAllBrowsers() {
-	return clients;
+function queryMicrodata(context, selector, customOptions) {
+	return queryMicrodatas(context, selector, customOptions)[0] || null;
 }
 
-async function closeAllBrowsers() {
+function extractDate(dateString, format, customOptions) {
+	if (!dateString) {
+		return null;
+	}
+
+	/*
+	if (!format) {
+		return handleError(new Error('Missing required date format parameter'), 'NO_DATE_FORMAT');
+	}
+	*/
+
+	const options = {
+		match: /((\d{1,4}[/-]\d{1,2}[/-]\d{1,4})|(\w+\s+\d{1,2}([a-z]{2})?,?\s+\d{4})|(\d{1,2}-\w+-\d{2,4}))((T|\s+)\d{1,2}:\d{2}(:\d{2})?)?/gi, // matches any of 01-01-1970, 1970-01-01, 01-Jan-70 and January 1, 1970 with optional 00:00[:00] time
+		matchIndex: 0,
+		timezone: 'UTC',
+		...customOptions,
+	};
+
+	const dateStamp = options.match
+		? trim(dateString).match(options.match)
+		: trim(dateString);
+
+	if (dateStamp) {
+		const dateValue = moment.tz(options.match ? dateStamp[options.matchIndex] : dateStamp, format, options.timezone);
+
+		if (dateValue.isValid()) {
+			return dateValue.toDate();
+		}
+	}
+
+	return null;
+}
+
+function queryDate(context, selector, format, customOptions) {
+	const dateString = queryContent(context, selector, customOptions);
+
+	return extractDate(dateString, format, {
+		...context.options,
+		...customOptions,
+	});
+}
+
+function queryDates(context, selector, format, customOptions) {
+	const dateStrings = queryContents(context, selector, customOptions);
+
+	return dateStrings.map((dateString) => extractDate(dateString, format, {
+		...context.options,
+		customOptions,
+	}));
+}
+
+const periodRegex = /years?|months?|weeks?|days?/;
+
+function extractDateAgo(dateString, customOptions) {
+	if (!dateString) {
+		return null;
+	}
+
+	const options = {
+		match: /(\d+)\s*(\w+)/i,
+		...customOptions,
+	};
+
+	const timeMatch = dateString.toLowerCase().match(options.match);
+
+	if (timeMatch) {
+		const [n, period] = timeMatch.slice(1);
+
+		if (periodRegex.test(period)) {
+			const thenDate = moment.utc().subtract(Number(n), period);
+
+			return {
+				date: thenDate.toDate(),
+				precision: period.replace(/s$/, ''),
+			};
+		}
+	}
+
+	return null;
+}
+
+function queryDateAgo(context, selector, customOptions) {
+	const dateString = queryContent(context, selector, customOptions);
+
+	return extractDateAgo(dateString, customOptions);
+}
+
+function queryDatesAgo(context, selector, customOptions) {
+	const dateStrings = queryContents(context, selector, customOptions);
+
+	return dateStrings
+		.map((dateString) => extractDateAgo(dateString, customOptions))
+		.filter(Boolean);
+}
+
+function formatDate(dateValue, format, inputFormat) {
+	if (inputFormat) {
+		return moment(dateValue, inputFormat).format(format);
+	}
+
+	return moment(dateValue).format(format);
+}
+
+function extractDuration(durationString, match) {
+	const durationMatch = durationString?.match(match || /(\d+:)?\d+:\d+/);
+
+	if (durationMatch) {
+		const segments = ['00'].concat(durationMatch[0].split(/[:hm]/)).slice(-3);
+
+		return moment.duration(segments.join(':')).asSeconds();
+	}
+
+	return null;
+}
+
+function extractTimestamp(durationString) {
+	const timestampMatch = durationString?.match(/(\d+\s*H)?.*(\d+\s*M)?.*(\d+\s*(S|$))?/i)?.[0];
+
+	if (timestampMatch) {
+		const hours = timestampMatch.match(/(\d+)\s*H/i)?.[1] || 0;
+		const minutes = timestampMatch.match(/(\d+)\s*M/i)?.[1] || 0;
+		const seconds = timestampMatch.match(/(\d+)\s*(s(ec\w*)?)|$/i)?.[1] || 0;
+
+		return (Number(hours) * 3600) + (Number(minutes) * 60) + Number(seconds);
+	}
+
+	return null;
+}
+
+function queryDuration(context, selector, customOptions) {
+	const options = { ...customOptions };
+	const durationString = queryContent(context, selector, customOptions);
+
+	if (!durationString) {
+		return null;
+	}
+
+	if (options.match) {
+		return extractDuration(durationString, options.match);
+	}
+
+	return extractDuration(durationString)
+		|| extractTimestamp(durationString)
+		|| null;
+}
+
+function castValue(text, element, key, options) {
+	const [type, ...args] = [].concat(options.cast?.[key] || 'text');
+
+	if (typeof type === 'function') {
+		return type(text, element);
+	}
+
+	if (type === 'number') {
+		return extractNumber(text, args[0]);
+	}
+
+	if (type === 'date') {
+		return extractDate(text, args[0], args[1]);
+	}
+
+	if (type === 'url') {
+		const link = element.nodeName === 'A' ? element : element.querySelector('a');
+
+		return prefixUrl(link?.getAttribute('href'), options.origin, options);
+	}
+
+	if (type === 'html') {
+		return trim(element.innerHTML);
+	}
+
+	if (type === 'element') {
+		return element;
+	}
+
+	return text;
+}
+
+function getTableGrid(table) {
+	const rows = Array.from(table.rows);
+	const grid = rows.map(() => []);
+
+	// cells spanning multiple rows or columns occupy every slot they cover
+	rows.forEach((row, rowIndex) => {
+		let columnIndex = 0;
+
+		Array.from(row.cells).forEach((cell) => {
+			while (grid[rowIndex][columnIndex]) {
+				columnIndex += 1;
+			}
+
+			const colSpan = Math.min(Math.max(Number(cell.getAttribute('colspan')) || 1, 1), 1000);
+			const rowSpan = Math.min(Math.max(Number(cell.getAttribute('rowspan')) || 1, 1), rows.length - rowIndex);
+
+			Array.from({ length: rowSpan }).forEach((_rowValue, rowOffset) => {
+				Array.from({ length: colSpan }).forEach((_colValue, colOffset) => {
+					grid[rowIndex + rowOffset][columnIndex + colOffset] = cell;
+				});
+			});
+
+			columnIndex += colSpan;
+		});
+	});
+
+	return grid;
+}
+
+function extractTableCell(cell, key, options) {
+	if (!cell) {
+		return null;
+	}
+
+	return castValue(trim(cell.textContent) || null, cell, key, options);
+}
+
+function extractTable(table, customOptions) {
+	const options = { ...customOptions };
+	const grid = getTableGrid(table);
+	const columnCount = Math.max(0, ...grid.map((row) => row.length));
+
+	const headerRowCount = table.tHead?.rows.length
+		|| (grid[0]?.length > 0 && grid[0].every((cell) => cell?.nodeName === 'TH') ? 1 : 0);
+
+	const isVertical = options.vertical ?? (headerRowCount === 0 && !options.headers && grid.length > 0 && grid.every((row) => row[0]?.nodeName === 'TH'));
+
+	if (isVertical) {
+		// row headers in the first column, every other column is a record
+		const keys = grid.map((row, rowIndex) => trim(row[0]?.textContent) || rowIndex);
+
+		return Array.from({ length: columnCount - 1 }, (_value, columnIndex) => Object.fromEntries(grid.map((row, rowIndex) => [keys[rowIndex], extractTableCell(row[columnIndex + 1], keys[rowIndex], options)])));
+	}
+
+	const headerRow = headerRowCount > 0 ? grid[headerRowCount - 1] : [];
+	const keys = Array.from({ length: columnCount }, (_value, columnIndex) => options.headers?.[columnIndex] ?? (trim(headerRow[columnIndex]?.textContent) || columnIndex));
+
+	return grid
+		.slice(headerRowCount)
+		.filter((row) => row.length > 0)
+		.map((row) => keys.reduce((acc, key, columnIndex) => {
+			const value = extractTableCell(row[columnIndex], key, options);
+
+			if (Object.hasOwn(acc, key)) {
+				// header spans multiple columns
+				return {
+					...acc,
+					[key]: [].concat(acc[key], value),
+				};
+			}
+
+			return {
+				...acc,
+				[key]: value,
+			};
+		}, {}));
+}
+
+function queryTable(context, selector = 'table', customOptions) {
+	const options = {
+		origin: context.options.origin, // not the request options, request headers would disable header detection
+		...customOptions,
+	};
+
+	const table = queryElement(context, selector, options);
+
+	if (!table?.rows) {
+		return null;
+	}
+
+	return extractTable(table, options);
+}
+
+function queryTables(context, selector = 'table', customOptions) {
+	const options = {
+		origin: context.options.origin,
+		...customOptions,
+	};
+
+	return queryElements(context, selector, options)
+		.filter((table) => table.rows)
+		.map((table) => extractTable(table, options));
+}
+
+function curatePairKey(label, options) {
+	const key = trim(label);
+
+	if (!key) {
+		return null;
+	}
+
+	const strippedKey = options.separator && key.endsWith(options.separator)
+		? key.slice(0, -options.separator.length).trim()
+		: key;
+
+	if (typeof options.normalize === 'function') {
+		return options.normalize(strippedKey);
+	}
+
+	if (options.normalize === false) {
+		return strippedKey;
+	}
+
+	return strippedKey.toLowerCase();
+}
+
+function curatePairValue(value, options) {
+	const text = trim(value);
+
+	// separator may be outside of the label element, e.g. <span>Height</span>: 170cm
+	if (text && options.separator && text.startsWith(options.separator)) {
+		return text.slice(options.separator.length).trim() || null;
+	}
+
+	return text || null;
+}
+
+function addPair(pairs, key, value) {
+	if (!key) {
+		return pairs;
+	}
+
+	if (Object.hasOwn(pairs, key)) {
+		return {
+			...pairs,
+			[key]: [].concat(pairs[key], value),
+		};
+	}
+
+	return {
+		...pairs,
+		[key]: value,
+	};
+}
+
+function extractDefinitionPairs(list, options, pairs) {
+	// definition lists may wrap each group in a div
+	const children = Array.from(list.children).flatMap((child) => (child.nodeName === 'DIV' ? Array.from(child.children) : child));
+
+	return children.reduce((acc, child) => {
+		if (child.nodeName === 'DT') {
+			return {
+				...acc,
+				key: curatePairKey(child.textContent, options),
+			};
+		}
+
+		if (child.nodeName === 'DD') {
+			return {
+				...acc,
+				pairs: addPair(acc.pairs, acc.key, castValue(curatePairValue(child.textContent, options), child, acc.key, options)),
+			};
+		}
+
+		return acc;
+	}, { key: null, pairs }).pairs;
+}
+
+function extractItemPair(item, options, pairs) {
+	if (options.key) {
+		const keyElement = queryElement({ element: item }, options.key);
+		const valueElement = options.value
+			? queryElement({ element: item }, options.value)
+			: item;
+
+		if (!keyElement || !valueElement) {
+			return pairs;
+		}
+
+		const key = curatePairKey(keyElement.textContent, options);
+
+		const value = options.value
+			? valueElement.textContent
+			: extractText(item) || item.textContent.replace(keyElement.textContent, '');
+
+		return addPair(pairs, key, castValue(curatePairValue(value, options), valueElement, key, options));
+	}
+
+	// no label element, split text on the separator
+	const text = trim(item.textContent);
+	const separatorIndex = options.separator ? text.indexOf(options.separator) : -1;
+
+	if (separatorIndex === -1) {
+		return pairs;
+	}
+
+	const key = curatePairKey(text.slice(0, separatorIndex), options);
+
+	return addPair(pairs, key, castValue(curatePairValue(text.slice(separatorIndex + options.separator.length), options), item, key, options));
+}
+
+function queryPairs(context, selector = 'dl', customOptions) {
+	const options = {
+		separator: ':',
+		origin: context.options.origin,
+		...customOptions,
+	};
+
+	// a falsy selector uses the context element itself
+	return [].concat(queryElements(context, selector, options)).reduce((acc, element) => {
+		if (element.nodeName === 'DL' && !options.key) {
+			return extractDefinitionPairs(element, options, acc);
+		}
+
+		return extractItemPair(element, options, acc);
+	}, {});
+}
+
+/* eslint-disable no-use-before-define */
+function isSchemaDefinition(definition) {
+	return !!definition && typeof definition === 'object' && !Array.isArray(definition) && !(definition instanceof RegExp);
+}
+
+function querySchemaField(context, key, definition, options) {
+	if (typeof definition === 'function') {
+		// custom extractor receives an initialized context so it can use the query methods
+		return definition(context.query ? context : init(context.element, null, context.options), options);
+	}
+
+	if (typeof definition === 'string') {
+		return queryContent(context, definition, options);
+	}
+
+	if (Array.isArray(definition)) {
+		const [selector, queryKey = 'content', ...args] = definition;
+
+		return querySchemaField(context, key, {
+			selector,
+			query: queryKey,
+			args,
+		}, options);
+	}
+
+	if (!isSchemaDefinition(definition)) {
+		return handleError(new Error(`Invalid schema definition for '${key}'`), 'INVALID_SCHEMA', context.instance?.options);
+	}
+
+	const fieldOptions = {
+		...options,
+		...definition.options,
+	};
+
+	if (definition.schema) {
+		if (definition.selectAll) {
+			const values = queryElements(context, definition.selectAll, fieldOptions)
+				.map((element) => querySchema(init(element, null, context.options), definition.schema, fieldOptions));
+
+			return values.length > 0 || definition.default === undefined
+				? values
+				: definition.default;
+		}
+
+		const subContext = definition.select || definition.selector
+			? init(queryElement(context, definition.select || definition.selector, fieldOptions), null, context.options)
+			: context;
+
+		if (!subContext) {
+			return definition.default ?? null;
+		}
+
+		return querySchema(subContext, definition.schema, fieldOptions);
+	}
+
+	const queryFn = queryFns[definition.query || 'content'];
+
+	if (!queryFn) {
+		return handleError(new Error(`Unknown query method '${definition.query}' for '${key}'`), 'INVALID_SCHEMA', context.instance?.options);
+	}
+
+	const value = queryFn(context, definition.selector, ...(definition.args || []), fieldOptions);
+
+	return value ?? definition.default ?? null;
+}
+
+function querySchema(context, schema, customOptions) {
+	if (!isSchemaDefinition(schema)) {
+		return handleError(new Error('Schema is not an object'), 'INVALID_SCHEMA', context.instance?.options);
+	}
+
+	return Object.fromEntries(Object.entries(schema).map(([key, definition]) => [key, querySchemaField(context, key, definition, customOptions)]));
+}
+/* eslint-enable no-use-before-define */
+
+const queryFns = {
+	element: queryElement,
+	elements: queryElements,
+	el: queryElement,
+	els: queryElements,
+	all: queryElements,
+	content: queryContent,
+	contents: queryContents,
+	attribute: queryAttribute,
+	attributes: queryAttributes,
+	attr: queryAttribute,
+	attrs: queryAttributes,
+	background: queryBackground,
+	backgrounds: queryBackgrounds,
+	dataset: queryDataset,
+	datasets: queryDatasets,
+	data: queryDataset,
+	datas: queryDatasets,
+	exists: queryExistence,
+	count: queryCount,
+	html: queryHtml,
+	htmls: queryHtmls,
+	image: queryImage,
+	images: queryImages,
+	img: queryImage,
+	imgs: queryImages,
+	json: queryJson,
+	jsons: queryJsons,
+	table: queryTable,
+	tables: queryTables,
+	jsonLd: queryJsonLd,
+	jsonLds: queryJsonLds,
+	meta: queryMeta,
+	microdata: queryMicrodata,
+	microdatas: queryMicrodatas,
+	openGraph: queryOpenGraph,
+	og: queryOpenGraph,
+	style: queryStyle,
+	styles: queryStyles,
+	styleUrl: queryStyleUrl,
+	styleUrls: queryStyleUrls,
+	number: queryNumber,
+	num: queryNumber,
+	numbers: queryNumbers,
+	nums: queryNumbers,
+	pairs: queryPairs,
+	scriptVar: queryScriptVariable,
+	scriptVariable: queryScriptVariable,
+	poster: queryPoster,
+	posters: queryPosters,
+	schema: querySchema,
+	date: queryDate,
+	dates: queryDates,
+	dateAgo: queryDateAgo,
+	datesAgo: queryDatesAgo,
+	dateAgos: queryDatesAgo,
+	duration: queryDuration,
+	dur: queryDuration,
+	sourceSet: querySourceSet,
+	sourceSets: querySourceSets,
+	srcSet: querySourceSet,
+	srcSets: querySourceSets,
+	text: queryText,
+	texts: queryTexts,
+	url: queryUrl,
+	urls: queryUrls,
+	video: queryVideo,
+	videos: queryVideos,
+};
+
+function isDomObject(element) {
+	if (!element) {
+		return false;
+	}
+
+	return typeof element.nodeType !== 'undefined';
+}
+
+function initQueryFns(fns, context, instance = defaultInstance) {
+	if (context) {
+		return Object.fromEntries(Object.entries(fns).map(([key, fn]) => [key, (...args) => {
+			instance.events.emit('query', {
+				key,
+				args,
+				origin: context.options.origin,
+			});
+
+			return fn(context, ...args);
+		}]));
+	}
+
+	// context is passed directly to query method
+	return Object.fromEntries(Object.entries(fns).map(([key, fn]) => [key, (...args) => {
+		// first argument is already an unprint context. this seems like a convoluted approach, but there is little reason not to allow it
+		if (args[0]?.isUnprint) {
+			instance.events.emit('query', {
+				key,
+				args,
+			});
+
+			return fn(...args);
+		}
+
+		// most common usage is to pass an element directly, convert to context
+		if (isDomObject(args[0])) {
+			const element = args[0];
+
+			instance.events.emit('query', {
+				key,
+				args,
+			});
+
+			return fn({
+				element,
+				html: element.outerHTML || element.body?.outerHTML,
+				instance,
+				isUnprint: true,
+			}, ...args.slice(1));
+		}
+
+		return handleError(new Error('Context is not provided or initialized'), 'INVALID_CONTEXT', instance.options);
+	}]));
+}
+
+function init(elementOrHtml, selector, options = {}) {
+	if (!elementOrHtml) {
+		return null;
+	}
+
+	if (typeof elementOrHtml === 'string') {
+		// the context should be raw HTML
+		const { window } = new JSDOM(elementOrHtml, { virtualConsole, ...options.parser });
+
+		return init(window.document, selector, { ...options, window });
+	}
+
+	if (!isDomObject(elementOrHtml)) {
+		// the context is not a valid
+		return handleError(new Error('Init context is not a DOM element, HTML or an array'), 'INVALID_CONTEXT', options.instance?.options);
+	}
+
+	const element = selector
+		? queryElement({ element: elementOrHtml }, selector)
+		: elementOrHtml;
+
+	if (!element) {
+		return null;
+	}
+
+	const context = {
+		element,
+		html: element.outerHTML || element.body?.outerHTML,
+		...(options.window && {
+			window: options.window,
+			document: options.window.document,
+		}),
+		options,
+		instance: options.instance || defaultInstance,
+		isUnprint: true,
+	};
+
+	context.query = initQueryFns(queryFns, context, context.instance);
+
+	return context;
+}
+
+function initAll(context, selector, options = {}) {
+	if (Array.isArray(context)) {
+		return context.map((element) => init(element, selector, options));
+	}
+
+	if (typeof context === 'string') {
+		// the context should be raw HTML
+		const { window } = new JSDOM(context, { virtualConsole, ...options.parser });
+
+		return initAll(window.document, selector, { ...options, window });
+	}
+
+	if (!isDomObject(context)) {
+		// the context is not a valid
+		return handleError(new Error('Init context is not a DOM element, HTML or an array'), 'INVALID_CONTEXT', options.instance?.options);
+	}
+
+	return queryElements({ element: context }, selector)
+		.map((element) => init(element, null, options));
+}
+
+function extract(source, schema, options = {}) {
+	const context = source?.isUnprint
+		? source
+		: init(source, null, options);
+
+	if (!context) {
+		return null;
+	}
+
+	return querySchema(context, schema, options);
+}
+
+function getLimiterValue(prop, options, hostname) {
+	if (options[prop] !== undefined) {
+		return options[prop];
+	}
+
+	if (options.limits[hostname]?.enable !== false && options.limits[hostname]?.[prop] !== undefined) {
+		return options.limits[hostname][prop];
+	}
+
+	return options.limits[options?.limiter || 'default'][prop];
+}
+
+function getLimiterGroup(url, options) {
+	const { hostname, origin } = new URL(url);
+
+	if (typeof options.limitBy === 'function') {
+		return options.limitBy(url, options);
+	}
+
+	if (options.limitBy === 'hostname') {
+		return hostname;
+	}
+
+	if (options.limitBy === 'origin') {
+		return origin;
+	}
+
+	// every host with the same limits shares a queue
+	return null;
+}
+
+function removeIdleLimiters(instance, options) {
+	if (!options.limitIdleTimeout) {
+		return;
+	}
+
+	const now = Date.now();
+
+	instance.limiters.forEach((limit, key) => {
+		if (now - limit.lastUsedAt < options.limitIdleTimeout
+			|| Object.values(limit.limiter.counts()).some((count) => count > 0)) {
+			return;
+		}
+
+		instance.limiters.delete(key);
+		limit.limiter.disconnect();
+	});
+}
+
+function getLimiter(instance, url, options) {
+	const { limiters } = instance;
+	const { hostname } = new URL(url);
+
+	const interval = getLimiterValue('interval', options, hostname);
+	const concurrency = getLimiterValue('concurrency', options, hostname);
+	const group = getLimiterGroup(url, options);
+	const key = `${group ?? '*'}_${interval}_${concurrency}`;
+
+	if (!limiters.has(key)) {
+		// new queues are what grows the list on long crawls, a good time to clean up the ones no longer used
+		removeIdleLimiters(instance, options);
+
+		limiters.set(key, {
+			key,
+			group,
+			limiter: new Bottleneck({
+				minTime: interval,
+				maxConcurrent: concurrency,
+				timeout: options.timeout + 10000, // timeout 10 seconds after axious should
+			}),
+			interval, // effective interval, changes when throttled
+			configuredInterval: interval,
+			concurrency,
+			latency: null,
+			successes: 0,
+			lastUsedAt: Date.now(),
+		});
+	}
+
+	const limit = limiters.get(key);
+
+	limit.lastUsedAt = Date.now();
+
+	return limit;
+}
+
+/* eslint-disable no-param-reassign */
+function setLimiterInterval(instance, limit, interval, reason) {
+	if (interval === limit.interval) {
+		return;
+	}
+
+	instance.events.emit('limitChange', {
+		group: limit.group,
+		interval,
+		previousInterval: limit.interval,
+		concurrency: limit.concurrency,
+		reason,
+	});
+
+	limit.interval = interval;
+	limit.limiter.updateSettings({ minTime: interval });
+}
+
+function throttleLimiter(instance, limit, status, duration, options) {
+	const { throttle } = options;
+
+	if (!throttle?.adaptive) {
+		return;
+	}
+
+	const isSlow = !!throttle.latency && limit.latency !== null && duration > Math.max(limit.latency * throttle.latency, throttle.minLatency || 0);
+
+	limit.latency = limit.latency === null
+		? duration
+		: Math.round((limit.latency * 0.8) + (duration * 0.2)); // moving average
+
+	if (throttle.statuses?.includes(status) || isSlow) {
+		limit.successes = 0;
+
+		setLimiterInterval(instance, limit, Math.min(Math.max(limit.interval * throttle.backoff, throttle.minInterval), throttle.maxInterval), isSlow ? 'latency' : status);
+		return;
+	}
+
+	limit.successes += 1;
+
+	if (limit.successes >= throttle.successes && limit.interval > limit.configuredInterval) {
+		limit.successes = 0;
+
+		setLimiterInterval(instance, limit, Math.max(Math.round(limit.interval * throttle.relax), limit.configuredInterval), 'relax');
+	}
+}
+/* eslint-enable no-param-reassign */
+
+function getLimits(instance) {
+	return Array.from(instance.limiters.values()).map((limit) => {
+		const counts = limit.limiter.counts();
+
+		return {
+			group: limit.group,
+			interval: limit.interval,
+			configuredInterval: limit.configuredInterval,
+			concurrency: limit.concurrency,
+			latency: limit.latency,
+			queued: counts.RECEIVED + counts.QUEUED,
+			running: counts.RUNNING + counts.EXECUTING,
+		};
+	});
+}
+
+function getCookie(options, jarCookies = null) {
+	const headerCookieData = options.headers?.cookie || options.headers?.Cookie || null;
+	const headerCookies = headerCookieData && cookie.parseCookie(headerCookieData);
+
+	if (typeof options.cookies === 'object') {
+		return cookie.stringifyCookie({
+			...jarCookies,
+			...headerCookies,
+			...options.cookies,
+		});
+	}
+
+	if (typeof options.cookies === 'string') {
+		const cookieData = cookie.parseCookie(options.cookies);
+
+		return cookie.stringifyCookie({
+			...jarCookies,
+			...headerCookies,
+			...cookieData,
+		});
+	}
+
+	if (jarCookies && Object.keys(jarCookies).length > 0) {
+		return cookie.stringifyCookie({
+			...jarCookies,
+			...headerCookies,
+		});
+	}
+
+	return headerCookieData;
+}
+
+function getDefaultCookiePath(pathname) {
+	if (!pathname.startsWith('/') || pathname.lastIndexOf('/') === 0) {
+		return '/';
+	}
+
+	return pathname.slice(0, pathname.lastIndexOf('/'));
+}
+
+function matchesCookieDomain(hostname, storedCookie) {
+	if (storedCookie.hostOnly) {
+		return hostname === storedCookie.domain;
+	}
+
+	return hostname === storedCookie.domain || hostname.endsWith(`.${storedCookie.domain}`);
+}
+
+// cookies for an IP address or a public suffix like com or co.uk would be shared between unrelated sites
+function isSharedCookieDomain(hostname, domain) {
+	return !net.isIP(hostname) && domain.includes('.') && psl.get(domain) !== null;
+}
+
+function matchesCookiePath(pathname, cookiePath) {
+	return pathname === cookiePath
+		|| (pathname.startsWith(cookiePath) && (cookiePath.endsWith('/') || pathname[cookiePath.length] === '/'));
+}
+
+function curateSameSite(sameSite) {
+	return {
+		strict: 'Strict',
+		lax: 'Lax',
+		none: 'None',
+	}[sameSite?.toLowerCase()];
+}
+
+function createCookieJar(instance, jarOptions = {}) {
+	let storedCookies = [];
+	let writer = Promise.resolve();
+	let loader = null;
+
+	function load() {
+		if (loader) {
+			return loader;
+		}
+
+		loader = jarOptions.file
+			? fs.readFile(path.resolve(jarOptions.file), 'utf8')
+				.then((jarString) => {
+					storedCookies = JSON.parse(jarString).cookies || [];
+				})
+				.catch((error) => {
+					if (error.code !== 'ENOENT') {
+						handleError(new Error(`Failed to read cookie jar from ${jarOptions.file}: ${error.message}`), 'COOKIE_JAR', instance.options);
+					}
+				})
+			: Promise.resolve();
+
+		// a failed load is not cached, the next call tries again
+		loader.catch(() => {
+			loader = null;
+		});
+
+		return loader;
+	}
+
+	function save() {
+		if (!jarOptions.file) {
+			return writer;
+		}
+
+		// serialize writes so concurrent responses don't corrupt the file
+		const write = writer.then(async () => {
+			try {
+				await fs.mkdir(path.dirname(path.resolve(jarOptions.file)), { recursive: true });
+				await fs.writeFile(path.resolve(jarOptions.file), JSON.stringify({ cookies: storedCookies }, null, '\t'));
+			} catch (error) {
+				handleError(new Error(`Failed to write cookie jar to ${jarOptions.file}: ${error.message}`), 'COOKIE_JAR', instance.options);
+			}
+		});
+
+		// a failed write doesn't hold up the next ones
+		writer = write.catch(() => {});
+
+		return write;
+	}
+
+	function storeCookie(newCookie) {
+		const otherCookies = storedCookies.filter((storedCookie) => !(storedCookie.name === newCookie.name
+			&& storedCookie.domain === newCookie.domain
+			&& storedCookie.path === newCookie.path));
+
+		// a cookie that is already expired deletes the stored cookie
+		storedCookies = newCookie.expires !== null && newCookie.expires <= Date.now()
+			? otherCookies
+			: otherCookies.concat(newCookie);
+	}
+
+	async function setCookies(setCookieHeaders, url) {
+		await load();
+
+		const { hostname, pathname } = new URL(url);
+		const now = Date.now();
+
+		// accepts a response or an array of Set-Cookie header values
+		parseSetCookie(setCookieHeaders, { decodeValues: false }).forEach((parsedCookie) => {
+			const domain = parsedCookie.domain?.trim().replace(/^\./, '').toLowerCase();
+
+			if (domain && hostname !== domain && !hostname.endsWith(`.${domain}`)) {
+				// hosts can't set cookies for other domains
+				return;
+			}
+
+			const isShared = !!domain && isSharedCookieDomain(hostname, domain);
+
+			if (domain && !isShared && hostname !== domain) {
+				return;
+			}
+
+			const expires = parsedCookie.maxAge !== undefined
+				? now + (parsedCookie.maxAge * 1000)
+				: parsedCookie.expires?.getTime() || null;
+
+			storeCookie({
+				name: parsedCookie.name,
+				value: parsedCookie.value,
+				domain: domain || hostname,
+				hostOnly: !isShared, // a domain that can't be shared only applies to the exact host
+				path: parsedCookie.path?.startsWith('/') ? parsedCookie.path : getDefaultCookiePath(pathname),
+				expires,
+				secure: !!parsedCookie.secure,
+				httpOnly: !!parsedCookie.httpOnly,
+				sameSite: curateSameSite(parsedCookie.sameSite) || null,
+			});
+		});
+
+		return save();
+	}
+
+	async function getCookies(url) {
+		await load();
+
+		const { protocol, hostname, pathname } = new URL(url);
+		const now = Date.now();
+
+		storedCookies = storedCookies.filter((storedCookie) => storedCookie.expires === null || storedCookie.expires > now);
+
+		return storedCookies
+			.filter((storedCookie) => matchesCookieDomain(hostname, storedCookie)
+				&& matchesCookiePath(pathname || '/', storedCookie.path)
+				&& (!storedCookie.secure || protocol === 'https:' || ['localhost', '127.0.0.1'].includes(hostname)))
+			.sort((cookieA, cookieB) => cookieB.path.length - cookieA.path.length);
+	}
+
+	async function getCookieValues(url) {
+		const cookies = await getCookies(url);
+
+		// most specific path takes precedence
+		return cookies.reduce((acc, storedCookie) => (Object.hasOwn(acc, storedCookie.name)
+			? acc
+			: { ...acc, [storedCookie.name]: storedCookie.value }), {});
+	}
+
+	async function loadIntoContext(context) {
+		await load();
+
+		if (storedCookies.length > 0) {
+			await context.addCookies(storedCookies.map((storedCookie) => ({
+				name: storedCookie.name,
+				value: storedCookie.value,
+				domain: storedCookie.hostOnly ? storedCookie.domain : `.${storedCookie.domain}`,
+				path: storedCookie.path,
+				expires: storedCookie.expires ? Math.floor(storedCookie.expires / 1000) : -1,
+				httpOnly: storedCookie.httpOnly,
+				secure: storedCookie.secure,
+				...(storedCookie.sameSite && { sameSite: storedCookie.sameSite }),
+			})));
+		}
+	}
+
+	async function saveFromContext(context) {
+		await load();
+
+		const contextCookies = await context.cookies();
+
+		contextCookies.forEach((contextCookie) => {
+			storeCookie({
+				name: contextCookie.name,
+				value: contextCookie.value,
+				domain: contextCookie.domain.replace(/^\./, ''),
+				hostOnly: !contextCookie.domain.startsWith('.'),
+				path: contextCookie.path,
+				expires: contextCookie.expires > 0 ? Math.round(contextCookie.expires * 1000) : null,
+				secure: contextCookie.secure,
+				httpOnly: contextCookie.httpOnly,
+				sameSite: contextCookie.sameSite || null,
+			});
+		});
+
+		return save();
+	}
+
+	async function getAllCookies() {
+		await load();
+
+		return storedCookies;
+	}
+
+	async function clear() {
+		await load();
+
+		storedCookies = [];
+
+		return save();
+	}
+
+	// closures rather than state on the object, options are deep cloned when merged
+	return {
+		isCookieJar: true,
+		load,
+		setCookies,
+		getCookies,
+		getCookieValues,
+		getAllCookies,
+		loadIntoContext,
+		saveFromContext,
+		clear,
+		save,
+	};
+}
+
+function getCookieJar(options) {
+	return options.jar?.isCookieJar ? options.jar : null;
+}
+
+function curateHeaders(headers, options) {
+	if (headers && options.defaultHeaders !== false) {
+		return Object.fromEntries(Object.entries(headers)
+			.map(([key, value]) => [key.toLowerCase(), value])
+			.filter(([_key, value]) => value !== null));
+	}
+
+	return headers;
+}
+
+function curateCookies(res, options) {
+	if (res?.headers) {
+		const setCookie = typeof res.headers.get === 'function'
+			? res.headers.get('set-cookie')
+			: res.headers['set-cookie'];
+
+		if (setCookie) {
+			try {
+				const cookies = parseSetCookie(res, { map: true, decode: false });
+
+				if (options.fullCookies) {
+					return cookies;
+				}
+
+				return Object.fromEntries(Object.entries(cookies).map(([_key, value]) => [value.name, value.value]));
+			} catch (_error) {
+				// invalid cookie
+			}
+		}
+	}
+
+	return null;
+}
+
+function curateResponse(res, data, options, {
+	url,
+	control,
+	customOptions,
+	instance,
+	cacheHit = false,
+	...browserData // blocked, captured, screenshot, etc.
+}) {
+	const base = {
+		ok: res.ok ?? true,
+		data,
+		body: data,
+		status: res.statusCode || res.status,
+		statusText: res.statusText,
+		headers: res.headers,
+		cookies: curateCookies(res, customOptions),
+		response: res,
+		res,
+		control,
+		cacheHit,
+		...browserData,
+	};
+
+	if (res.headers && ['application/json', 'application/javascript', 'text/javascript'].some((type) => {
+		if (typeof res.headers.get === 'function') {
+			return res.headers.get('content-type')?.includes(type);
+		}
+
+		return res.headers['content-type']?.includes(type);
+	})) {
+		if (typeof data === 'object') {
+			return {
+				...base,
+				data,
+			};
+		}
+
+		try {
+			return {
+				...base,
+				data: JSON.parse(data),
+			};
+		} catch (error) {
+			return {
+				...base,
+				data: (isJsonpRequest(url, options) ? extractJsonp(data) : null) ?? data,
+			};
+		}
+	}
+
+	if (!options.extract) {
+		return base;
+	}
+
+	const contextOptions = {
+		...customOptions,
+		origin: url,
+		instance,
+	};
+
+	if (isSchemaDefinition(options.selectAll)) {
+		// selectAll: { selector, schema } scrapes every matching element with the same schema
+		const contexts = initAll(data, options.selectAll.selector, contextOptions);
+
+		return {
+			...base,
+			context: contexts,
+			extracted: contexts?.map((context) => querySchema(context, options.selectAll.schema)) || null,
+		};
+	}
+
+	if (isSchemaDefinition(options.select)) {
+		const context = init(data, null, contextOptions);
+
+		return {
+			...base,
+			context,
+			extracted: context && querySchema(context, options.select),
+		};
+	}
+
+	const context = options.selectAll
+		? initAll(data, options.selectAll, contextOptions)
+		: init(data, options.select, contextOptions);
+
+	return {
+		...base,
+		context,
+	};
+}
+
+/* eslint-disable no-param-reassign */
+async function getBrowserContext(browser, options, proxy) {
+	return browser.newContext({
+		userAgent: options.browserUserAgent || options.userAgent,
+		...options.context,
+		...(proxy && {
+			proxy: {
+				server: proxy.key,
+				...(proxy.username && {
+					username: proxy.username,
+					password: proxy.password,
+				}),
+			},
+		}),
+		extraHTTPHeaders: curateHeaders({
+			...options.headers,
+			cookie: getCookie(options),
+		}, options),
+	});
+}
+
+function getSessionPath(session, options) {
+	return path.resolve(options.sessions.dir, `${encodeURIComponent(session)}.json`);
+}
+
+async function loadSessionState(instance, options) {
+	if (instance.sessions.has(options.session)) {
+		return instance.sessions.get(options.session);
+	}
+
+	if (!options.sessions?.persist) {
+		return null;
+	}
+
+	try {
+		const storageState = await fs.readFile(getSessionPath(options.session, options), 'utf8');
+
+		return JSON.parse(storageState);
+	} catch (error) {
+		if (error.code !== 'ENOENT') {
+			handleError(new Error(`Failed to read session ${options.session}: ${error.message}`), 'SESSION', options);
+		}
+
+		return null;
+	}
+}
+
+async function saveSessionState(instance, session, context, options) {
+	try {
+		const storageState = await context.storageState();
+
+		instance.sessions.set(session, storageState);
+
+		if (options.sessions?.persist) {
+			await fs.mkdir(path.resolve(options.sessions.dir), { recursive: true });
+			await fs.writeFile(getSessionPath(session, options), JSON.stringify(storageState));
+		}
+	} catch (error) {
+		handleError(new Error(`Failed to save session ${session}: ${error.message}`), 'SESSION', options);
+	}
+}
+
+async function getSessionContext(instance, client, options, proxy) {
+	if (!client.sessions.has(options.session)) {
+		// store the promise, so concurrent requests in the same session don't create a context each
+		const contextPromise = loadSessionState(instance, options).then((storageState) => getBrowserContext(client.browser, {
+			...options,
+			context: {
+				...options.context,
+				...(storageState && { storageState }),
+			},
+		}, proxy));
+
+		client.sessions.set(options.session, contextPromise);
+
+		// a failed context is not cached, the next request in the session tries again
+		contextPromise.catch(() => {
+			if (client.sessions.get(options.session) === contextPromise) {
+				client.sessions.delete(options.session);
+			}
+		});
+	}
+
+	return client.sessions.get(options.session);
+}
+
+async function releaseContext(instance, context, options) {
+	if (options.session) {
+		// keep the session alive for the next request on this client
+		await saveSessionState(instance, options.session, context, options);
+		return;
+	}
+
+	await context.close();
+}
+
+async function closeSessions(instance, client, options) {
+	await Promise.all(Array.from(client.sessions.entries()).map(async ([session, contextPromise]) => {
+		const context = await contextPromise.catch(() => null);
+
+		if (context) {
+			await saveSessionState(instance, session, context, options);
+			await context.close();
+		}
+	}));
+
+	client.sessions.clear();
+}
+
+/* eslint-enable no-param-reassign */
+function curateRemoteError(error) {
+	// the server rejects connections with 503 while all its browsers are at capacity
+	if (/\s503\s/.test(error.message)) {
+		return Object.assign(new Error(`Remote browsers at capacity: ${error.message}`), {
+			status: 503,
+			isRetryable: true,
+		});
+	}
+
+	return error;
+}
+
+async function getBrowserInstance(instance, scope, options, useProxy = false, useRemote = false) {
+	const { clients } = instance;
+	const scopeKey = `${scope}_${useRemote ? 'remote' : 'local'}_${useProxy ? 'proxy' : 'direct'}_${options.browser ? hashObject(options.browser) : 'default'}_${options.context ? hashObject(options.context) : 'default'}`;
+	const now = new Date();
+
+	if (clients.has(scopeKey)) {
+		const client = clients.get(scopeKey);
+
+		client.uses += 1;
+		client.lastUsedAt = now;
+
+		if (client.uses >= (options.clientRetirement || 20)) {
+			client.retired = true;
+			clients.delete(scopeKey);
+		}
+
+		await client.launchers;
+
+		return client;
+	}
+
+	// if we await here, we create a race condition, and a second call to getBrowserInstance would launch another browser that will overwrite the first one
+	const launchers = (useRemote
+		? chromium.connect(options.remote.address, {
+			headers: {
+				'unprint-key': options.remote.key,
+			},
+		})
+		: chromium.launch({
+			headless: true,
+			...options.browser,
+		})).then(async (browser) => { // eslint-disable-line arrow-body-style
+			// legacy
+			// const context = await getBrowserContext(browser, options, useProxy);
+
+			return { browser };
+		});
+
+	const client = {
+		key: scopeKey,
+		launchers,
+		sessions: new Map(),
+		active: 0,
+		uses: 1,
+		retired: false,
+		isRemote: useRemote,
+		createdAt: now,
+		lastUsedAt: now,
+	};
+
+	if (scope) {
+		clients.set(scopeKey, client);
+	}
+
+	try {
+		// const { browser, context } = await launchers;
+		const { browser } = await launchers;
+
+		// context.setDefaultNavigationTimeout(options.timeout);
+
+		client.browser = browser;
+		// client.context = context;
+	} catch (error) {
+		clients.delete(scopeKey);
+
+		return useRemote ? curateRemoteError(error) : error;
+	}
+
+	return client;
+}
+
+function getAllBrowsers(instance) {
+	return instance.clients;
+}
+
+async function closeAllBrowsers(instance) {
+	const { clients, events } = instance;
 	const closingClients = Array.from(clients.values());
 
-	await Promise.all(closingClients.map(async (client) => {
-		await client.context?.close();
-		await client.browser.close();
+	await Promise.all(closingClients.map(async (client) => {
+		await closeSessions(instance, client, instance.options);
+		await client.context?.close();
+		await client.browser.close();
+
+		clients.delete(client.key);
+	}));
+
+	events.emit('browserClose', {
+		keys: closingClients.map((client) => client.key),
+		active: closingClients.reduce((acc, client) => acc + (client.active || 0), 0),
+		retired: false,
+		clients: clients.size,
+	});
+}
+
+async function closeBrowser(instance, client, options = {}) {
+	const { clients, events } = instance;
+
+	if (options.client === null // this browser is single-use
+		|| (client.retired && client.active === 0)) { // this browser is retired to minimize garbage build-up
+		// this browser won't be reused, browser close DOES NOT automatically close context https://github.com/microsoft/playwright/issues/15163
+		await closeSessions(instance, client, options);
+		await client.context?.close();
+		await client.browser.close();
+
+		clients.delete(client.key);
+
+		events.emit('browserClose', {
+			keys: [client.key],
+			active: client.active,
+			retired: !!client.retired,
+			clients: clients.size,
+		});
+
+		return true;
+	}
+
+	return false;
+}
+
+function curateProxy(proxy) {
+	if (typeof proxy === 'string') {
+		const proxyUrl = new URL(proxy);
+
+		return curateProxy({
+			protocol: proxyUrl.protocol.slice(0, -1),
+			host: proxyUrl.hostname,
+			port: proxyUrl.port,
+			username: decodeURIComponent(proxyUrl.username),
+			password: decodeURIComponent(proxyUrl.password),
+		});
+	}
+
+	const protocol = proxy.protocol || 'http';
+	const port = Number(proxy.port) || { http: 80, https: 443 }[protocol] || 1080;
+
+	return {
+		protocol,
+		host: proxy.host,
+		port,
+		username: proxy.username || null,
+		password: proxy.password || null,
+		key: `${protocol}://${proxy.host}:${port}`, // identifies the proxy in events, without credentials
+	};
+}
+
+function useProxyRequest(options, url) {
+	const { hostname } = new URL(url);
+
+	return !!(options.proxy
+		&& options.proxy.enable !== false
+		&& (options.useProxy // defined locally
+		|| options.proxy.use // defined globally
+		|| options.proxy.hostnames?.includes(hostname)));
+}
+
+function isProxyEjected(instance, proxy) {
+	const ejectedUntil = instance.proxies.ejected.get(proxy.key);
+
+	if (ejectedUntil && ejectedUntil <= Date.now()) {
+		// give it another chance
+		instance.proxies.ejected.delete(proxy.key);
+
+		return false;
+	}
+
+	return !!ejectedUntil;
+}
+
+function ejectProxy(instance, proxy, options, reason) {
+	const ejectTime = options.proxy.ejectTime ?? 300_000;
+
+	instance.proxies.ejected.set(proxy.key, Date.now() + ejectTime);
+	instance.proxies.failures.delete(proxy.key);
+
+	instance.events.emit('proxyEject', {
+		proxy: proxy.key,
+		reason,
+		ejectTime,
+	});
+}
+
+function reportProxy(instance, proxy, options, error) {
+	if (!proxy || !options.proxy.pool) {
+		return;
+	}
+
+	if (!error) {
+		instance.proxies.failures.delete(proxy.key);
+		return;
+	}
+
+	const failures = (instance.proxies.failures.get(proxy.key) || 0) + 1;
+
+	if (failures >= (options.proxy.maxFailures || 3)) {
+		ejectProxy(instance, proxy, options, error.message || error);
+		return;
+	}
+
+	instance.proxies.failures.set(proxy.key, failures);
+}
+
+/* eslint-disable no-use-before-define */
+function scheduleProxyHealthCheck(instance, options) {
+	const { proxies } = instance;
+
+	if (!options.proxy.healthCheck?.url || !options.proxy.healthCheck.interval || proxies.healthCheck) {
+		return;
+	}
+
+	proxies.healthCheck = setInterval(() => checkProxies(instance, options), options.proxy.healthCheck.interval);
+	proxies.healthCheck.unref(); // don't keep the process alive just to check proxies
+}
+/* eslint-enable no-use-before-define */
+
+function isBrowserProxy(proxy) {
+	// Chromium doesn't support authentication for SOCKS proxies
+	return !(proxy.protocol.startsWith('socks') && proxy.username);
+}
+
+function getProxy(instance, url, options, isBrowser = false) {
+	if (!useProxyRequest(options, url)) {
+		return null;
+	}
+
+	if (!options.proxy.pool?.length) {
+		return curateProxy(options.proxy.url || options.proxy);
+	}
+
+	scheduleProxyHealthCheck(instance, options);
+
+	const { proxies } = instance;
+	const fullPool = options.proxy.pool.map((proxy) => curateProxy(proxy));
+	const browserPool = isBrowser ? fullPool.filter((proxy) => isBrowserProxy(proxy)) : fullPool;
+	const pool = browserPool.length > 0 ? browserPool : fullPool; // the browser request reports the unusable proxy
+	const stickyKey = (options.proxy.sticky === 'hostname' && new URL(url).hostname)
+		|| (options.proxy.sticky === 'session' && options.session)
+		|| null;
+
+	const assignedProxy = stickyKey && pool.find((proxy) => proxy.key === proxies.assignments.get(stickyKey));
+
+	if (assignedProxy && !isProxyEjected(instance, assignedProxy)) {
+		return assignedProxy;
+	}
+
+	const availableProxies = pool.filter((proxy) => !isProxyEjected(instance, proxy));
+	const candidates = availableProxies.length > 0 ? availableProxies : pool; // better to try an ejected proxy than not to make the request
+
+	const proxy = options.proxy.rotation === 'random'
+		? candidates[Math.floor(Math.random() * candidates.length)]
+		: candidates[proxies.next % candidates.length];
+
+	proxies.next += 1;
+
+	if (stickyKey) {
+		proxies.assignments.set(stickyKey, proxy.key);
+	}
+
+	return proxy;
+}
+
+function getSocksConnector(proxy, options) {
+	const tlsConnector = undici.buildConnector({ timeout: options.timeout });
+
+	return async (connectOptions, callback) => {
+		try {
+			const { socket } = await SocksClient.createConnection({
+				proxy: {
+					host: proxy.host,
+					port: proxy.port,
+					type: proxy.protocol === 'socks4' ? 4 : 5,
+					...(proxy.username && {
+						userId: proxy.username,
+						password: proxy.password,
+					}),
+				},
+				command: 'connect',
+				destination: {
+					host: connectOptions.hostname,
+					port: Number(connectOptions.port) || (connectOptions.protocol === 'https:' ? 443 : 80),
+				},
+				timeout: options.timeout,
+			});
+
+			if (connectOptions.protocol === 'https:') {
+				// upgrade the tunnel, undici takes care of the TLS handshake
+				tlsConnector({ ...connectOptions, httpSocket: socket }, callback);
+				return;
+			}
+
+			callback(null, socket);
+		} catch (error) {
+			callback(error, null);
+		}
+	};
+}
+
+function createAgent(options, proxy) {
+	const agentOptions = {
+		...options.agent,
+		bodyTimeout: options.timeout,
+		interceptors: { // only applies to fetch
+			Agent: [
+				undici.interceptors.redirect({
+					maxRedirection: options.followRedirects ? options.maxRedirects : 0,
+				}),
+			],
+		},
+	};
+
+	if (proxy && proxy.protocol.startsWith('socks')) {
+		return new undici.Agent({
+			...agentOptions,
+			connect: getSocksConnector(proxy, options),
+		});
+	}
+
+	if (proxy) {
+		return new undici.ProxyAgent({
+			...agentOptions,
+			uri: `${proxy.key}/`,
+			...(proxy.username && {
+				token: `Basic ${Buffer.from(`${proxy.username}:${proxy.password || ''}`).toString('base64')}`,
+			}),
+		});
+	}
+
+	return new undici.Agent(agentOptions);
+}
+
+function getAgent(instance, options, proxy) {
+	const agentKey = hashObject({
+		proxy,
+		timeout: options.timeout,
+		followRedirects: !!options.followRedirects,
+		maxRedirects: options.maxRedirects ?? null,
+		agent: options.agent || null,
+	});
+
+	// reuse the agent for the same configuration, otherwise keep-alive connections are never reused
+	if (!instance.dispatchers.has(agentKey)) {
+		instance.dispatchers.set(agentKey, createAgent(options, proxy));
+	}
+
+	return instance.dispatchers.get(agentKey);
+}
+
+async function checkProxies(instance, customOptions = {}) {
+	const options = merge.all([instance.options, customOptions]);
+
+	if (!options.proxy?.pool?.length || !options.proxy.healthCheck?.url) {
+		return [];
+	}
+
+	return Promise.all(options.proxy.pool.map(async (poolProxy) => {
+		const proxy = curateProxy(poolProxy);
+
+		try {
+			const res = await undici.request(options.proxy.healthCheck.url, {
+				dispatcher: getAgent(instance, options, proxy),
+				signal: AbortSignal.timeout(options.proxy.healthCheck.timeout || 10_000),
+			});
+
+			await res.body.dump();
+
+			if (res.statusCode >= 400) {
+				throw new Error(`Health check responded with ${res.statusCode}`);
+			}
+
+			instance.proxies.failures.delete(proxy.key);
+
+			return { proxy: proxy.key, ok: true };
+		} catch (error) {
+			ejectProxy(instance, proxy, options, error.message);
+
+			return { proxy: proxy.key, ok: false, error: error.message };
+		}
+	}));
+}
+
+function useRemoteRequest(options) {
+	if (options.remote.enable) {
+		if (typeof options.useRemote === 'boolean') {
+			return options.useRemote;
+		}
+
+		return options.remote.use;
+	}
+
+	return false;
+}
+
+function getHeader(headers, name) {
+	if (!headers) {
+		return null;
+	}
+
+	if (typeof headers.get === 'function') {
+		return headers.get(name);
+	}
+
+	return headers[name] ?? null;
+}
+
+function getRetryDelay(headers, attempt, retries) {
+	const retryAfter = getHeader(headers, 'retry-after');
+
+	if (retryAfter) {
+		// either seconds or an HTTP date
+		const delay = Number.isNaN(Number(retryAfter))
+			? new Date(retryAfter).getTime() - Date.now()
+			: Number(retryAfter) * 1000;
+
+		if (delay >= 0) {
+			return Math.min(delay, retries.maxDelay);
+		}
+	}
+
+	const backoff = retries.backoff * (2 ** (attempt - 1));
+
+	return Math.round(Math.min(backoff + (Math.random() * backoff * retries.jitter), retries.maxDelay));
+}
+
+function isFinalAttempt(attempt, options) {
+	return attempt > (options.retries?.count || 0) || !!options.abortSignal?.aborted;
+}
+
+async function withRetries(instance, attemptFn, describeFn, options, feedbackBase, attempt = 1) {
+	const result = await attemptFn(attempt);
+	const { status, statusText, headers, isFailed, discard } = describeFn(result);
+
+	if (isFinalAttempt(attempt, options)
+		|| !(isFailed || options.retries.statuses?.includes(status))) {
+		return result;
+	}
+
+	const delay = getRetryDelay(headers, attempt, options.retries);
+
+	instance.events.emit('requestRetry', {
+		...feedbackBase,
+		attempt,
+		status,
+		statusText,
+		delay,
+	});
+
+	await discard?.();
+	await timers.setTimeout(delay);
+
+	return withRetries(instance, attemptFn, describeFn, options, feedbackBase, attempt + 1);
+}
+
+const fixtureFiles = new Map();
+
+function getFixtureMode(options) {
+	if (options.fixtures?.file && ['record', 'replay'].includes(options.fixtures.mode)) {
+		return options.fixtures.mode;
+	}
+
+	return null;
+}
+
+function getFixtureFile(options) {
+	const filePath = path.resolve(options.fixtures.file);
+
+	if (!fixtureFiles.has(filePath)) {
+		// load once per file, entries are kept in memory and the file is rewritten after every recording
+		const loader = fs.readFile(filePath, 'utf8')
+			.then((harString) => JSON.parse(harString).log.entries)
+			.catch((error) => {
+				if (error.code !== 'ENOENT') {
+					handleError(new Error(`Failed to read fixtures from ${filePath}: ${error.message}`), 'FIXTURE', options);
+				}
+
+				return [];
+			});
+
+		fixtureFiles.set(filePath, {
+			path: filePath,
+			loader,
+			writer: Promise.resolve(),
+		});
+	}
+
+	return fixtureFiles.get(filePath);
+}
+
+function getFixtureKey(method, url, body) {
+	return `${method.toUpperCase()} ${url} ${body || ''}`;
+}
+
+function toHarHeaders(headers) {
+	if (!headers) {
+		return [];
+	}
+
+	const entries = typeof headers.entries === 'function'
+		? Array.from(headers.entries())
+		: Object.entries(headers);
+
+	return entries.flatMap(([name, value]) => [].concat(value).map((headerValue) => ({ name, value: String(headerValue) })));
+}
+
+function fromHarHeaders(harHeaders = []) {
+	return harHeaders.reduce((acc, { name, value }) => ({
+		...acc,
+		[name.toLowerCase()]: acc[name.toLowerCase()] ? `${acc[name.toLowerCase()]}\n${value}` : value,
+	}), {});
+}
+
+function isTextMimeType(mimeType) {
+	return !mimeType || /^text\/|json|javascript|xml|svg|x-www-form-urlencoded/.test(mimeType);
+}
+
+function getHarEntry({
+	method,
+	url,
+	requestHeaders,
+	requestBody,
+	status,
+	statusText,
+	headers,
+	body,
+	startedAt,
+}) {
+	const harHeaders = toHarHeaders(headers);
+	const mimeType = harHeaders.find((header) => header.name.toLowerCase() === 'content-type')?.value || '';
+	const isText = typeof body === 'string' || isTextMimeType(mimeType);
+
+	const content = body
+		? Buffer.from(body)
+		: Buffer.alloc(0);
+
+	return {
+		startedDateTime: startedAt.toISOString(),
+		time: Date.now() - startedAt.getTime(),
+		request: {
+			method: method.toUpperCase(),
+			url,
+			httpVersion: 'HTTP/1.1',
+			cookies: [],
+			headers: toHarHeaders(requestHeaders),
+			queryString: Array.from(new URL(url).searchParams.entries(), ([name, value]) => ({ name, value })),
+			...(requestBody && {
+				postData: {
+					mimeType: requestHeaders?.['content-type'] || '',
+					text: requestBody,
+				},
+			}),
+			headersSize: -1,
+			bodySize: requestBody ? Buffer.byteLength(requestBody) : 0,
+		},
+		response: {
+			status: status || 0,
+			statusText: statusText || '',
+			httpVersion: 'HTTP/1.1',
+			cookies: [],
+			headers: harHeaders,
+			content: {
+				size: content.length,
+				mimeType,
+				text: isText ? content.toString('utf8') : content.toString('base64'),
+				...(!isText && { encoding: 'base64' }),
+			},
+			redirectURL: harHeaders.find((header) => header.name.toLowerCase() === 'location')?.value || '',
+			headersSize: -1,
+			bodySize: content.length,
+		},
+		cache: {},
+		timings: {
+			send: 0,
+			wait: Date.now() - startedAt.getTime(),
+			receive: 0,
+		},
+	};
+}
+
+async function findFixture(method, url, body, options) {
+	const fixtureFile = getFixtureFile(options);
+	const entries = await fixtureFile.loader;
+	const key = getFixtureKey(method, url, body);
+
+	return entries.findLast((entry) => getFixtureKey(entry.request.method, entry.request.url, entry.request.postData?.text) === key) || null;
+}
+
+async function recordFixture(entryData, options) {
+	const fixtureFile = getFixtureFile(options);
+	const entries = await fixtureFile.loader;
+	const entry = getHarEntry(entryData);
+	const key = getFixtureKey(entry.request.method, entry.request.url, entry.request.postData?.text);
+
+	// replace previous recordings of the same request
+	const existingIndex = entries.findIndex((existingEntry) => getFixtureKey(existingEntry.request.method, existingEntry.request.url, existingEntry.request.postData?.text) === key);
+
+	if (existingIndex > -1) {
+		entries.splice(existingIndex, 1, entry);
+	} else {
+		entries.push(entry);
+	}
+
+	// serialize writes so concurrent recordings don't corrupt the file
+	fixtureFile.writer = fixtureFile.writer.then(async () => {
+		try {
+			await fs.mkdir(path.dirname(fixtureFile.path), { recursive: true });
+			await fs.writeFile(fixtureFile.path, JSON.stringify({
+				log: {
+					version: '1.2',
+					creator: {
+						name: 'unprint',
+						version: pkg.version,
+					},
+					entries,
+				},
+			}, null, '\t'));
+		} catch (error) {
+			handleError(new Error(`Failed to write fixtures to ${fixtureFile.path}: ${error.message}`), 'FIXTURE', options);
+		}
+	});
+
+	return fixtureFile.writer;
+}
+
+function getFixtureBody(entry) {
+	if (entry.response.content.encoding === 'base64') {
+		return Buffer.from(entry.response.content.text || '', 'base64');
+	}
+
+	return entry.response.content.text || '';
+}
+
+function getFixtureResponse(entry) {
+	return {
+		ok: entry.response.status >= 200 && entry.response.status < 300,
+		status: entry.response.status,
+		statusText: entry.response.statusText,
+		headers: fromHarHeaders(entry.response.headers),
+	};
+}
+
+function handleMissingFixture(instance, method, url, feedbackBase) {
+	handleError(new Error(`No recorded response for ${method.toUpperCase()} ${url}`), 'FIXTURE_MISSING', feedbackBase.options);
+
+	instance.events.emit('requestError', {
+		...feedbackBase,
+		status: null,
+		statusText: 'No recorded response',
+	});
+
+	return {
+		ok: false,
+		status: null,
+		statusText: 'No recorded response',
+	};
+}
+
+async function recordPageDocument(recordings, entryData, options) {
+	// wait for the sub-resources, so the final HTML replaces the original document response
+	await Promise.all(recordings);
+	await recordFixture(entryData, options);
+}
+
+async function routeFixtures(page, options) {
+	// serve every request from the fixtures, nothing reaches the network
+	await page.route('**/*', async (route) => {
+		const routeRequest = route.request();
+		const entry = await findFixture(routeRequest.method(), routeRequest.url(), routeRequest.postData(), options);
+
+		if (!entry) {
+			await route.abort('internetdisconnected');
+			return;
+		}
+
+		// recorded bodies are decoded, original encoding and length no longer apply
+		const headers = Object.fromEntries(Object.entries(fromHarHeaders(entry.response.headers))
+			.filter(([key]) => !['content-encoding', 'content-length', 'transfer-encoding'].includes(key)));
+
+		await route.fulfill({
+			status: entry.response.status,
+			headers,
+			body: getFixtureBody(entry),
+		});
+	});
+}
+
+function recordPageFixtures(page, options) {
+	const recordings = [];
+
+	page.on('response', (response) => {
+		const startedAt = new Date();
+
+		recordings.push((async () => {
+			const responseRequest = response.request();
+			const body = await response.body().catch(() => null); // redirects and aborted requests have no body
+
+			await recordFixture({
+				method: responseRequest.method(),
+				url: responseRequest.url(),
+				requestHeaders: await responseRequest.allHeaders(),
+				requestBody: responseRequest.postData(),
+				status: response.status(),
+				statusText: response.statusText(),
+				headers: await response.allHeaders(),
+				body,
+				startedAt,
+			}, options);
+		})().catch((error) => handleError(error, 'FIXTURE', options)));
+	});
+
+	return recordings;
+}
+
+const blockPresets = {
+	assets: {
+		resourceTypes: ['image', 'media', 'font'],
+	},
+	trackers: {
+		domains: [
+			'google-analytics.com',
+			'googletagmanager.com',
+			'googlesyndication.com',
+			'googleadservices.com',
+			'doubleclick.net',
+			'adservice.google.com',
+			'amazon-adsystem.com',
+			'facebook.net',
+			'hotjar.com',
+			'scorecardresearch.com',
+			'quantserve.com',
+			'criteo.com',
+			'taboola.com',
+			'outbrain.com',
+			'adnxs.com',
+			'clarity.ms',
+		],
+	},
+};
+
+blockPresets.default = {
+	...blockPresets.assets,
+	...blockPresets.trackers,
+};
+
+function getBlockRules(block, options) {
+	if (block === true) {
+		return blockPresets.default;
+	}
+
+	if (typeof block === 'string') {
+		return blockPresets[block] || handleError(new Error(`Unknown block preset '${block}'`), 'INVALID_BLOCK', options);
+	}
+
+	const preset = block.preset && getBlockRules(block.preset === true ? 'default' : block.preset, options);
+
+	return {
+		resourceTypes: [...(preset?.resourceTypes || []), ...(block.resourceTypes || [])],
+		domains: [...(preset?.domains || []), ...(block.domains || [])],
+		urlPatterns: [...(preset?.urlPatterns || []), ...(block.urlPatterns || [])],
+	};
+}
+
+function matchesUrlPattern(url, pattern) {
+	return pattern instanceof RegExp
+		? pattern.test(url)
+		: url.includes(pattern);
+}
+
+function isBlockedRequest(routeRequest, rules) {
+	if (rules.resourceTypes?.includes(routeRequest.resourceType())) {
+		return true;
+	}
+
+	const requestUrl = routeRequest.url();
+	const { hostname } = new URL(requestUrl);
+
+	if (rules.domains?.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`))) {
+		return true;
+	}
+
+	return !!rules.urlPatterns?.some((pattern) => matchesUrlPattern(requestUrl, pattern));
+}
+
+async function routeBlocking(page, options) {
+	const blocked = { count: 0 };
+	const rules = options.block && getBlockRules(options.block, options);
+
+	if (!rules) {
+		return blocked;
+	}
+
+	// registered after the fixtures, so it's handled first and falls back to the fixtures or the network
+	await page.route('**/*', async (route) => {
+		const routeRequest = route.request();
+
+		// never block the page itself
+		if (routeRequest.isNavigationRequest() && routeRequest.frame().parentFrame() === null) {
+			await route.fallback();
+			return;
+		}
+
+		if (isBlockedRequest(routeRequest, rules)) {
+			blocked.count += 1;
+
+			await route.abort('blockedbyclient');
+			return;
+		}
+
+		await route.fallback();
+	});
+
+	return blocked;
+}
+
+function getCaptureOptions(capture) {
+	if (!capture) {
+		return null;
+	}
+
+	if (typeof capture === 'string' || capture instanceof RegExp || Array.isArray(capture)) {
+		return getCaptureOptions({ urlPatterns: [].concat(capture) });
+	}
+
+	return {
+		resourceTypes: ['xhr', 'fetch'],
+		count: 0,
+		timeout: 10_000,
+		...capture,
+		urlPatterns: [].concat(capture.urlPatterns || []),
+	};
+}
+
+async function getCapturedBody(response, options) {
+	const body = await response.text().catch(() => null); // redirects have no body
+
+	if (body && /json|javascript/.test(response.headers()['content-type'])) {
+		try {
+			return JSON.parse(body);
+		} catch (error) {
+			return (isJsonpRequest(response.url(), options) ? extractJsonp(body) : null) ?? body;
+		}
+	}
+
+	return body;
+}
+
+function capturePageResponses(page, options) {
+	const capture = getCaptureOptions(options.capture);
+
+	const captured = {
+		entries: [],
+		pending: [],
+		options: capture,
+	};
+
+	if (!capture) {
+		return captured;
+	}
+
+	captured.complete = new Promise((resolve) => {
+		page.on('response', (response) => {
+			const responseRequest = response.request();
+
+			if (!capture.resourceTypes.includes(responseRequest.resourceType())
+				|| !capture.urlPatterns.some((pattern) => matchesUrlPattern(response.url(), pattern))) {
+				return;
+			}
+
+			captured.pending.push((async () => {
+				captured.entries.push({
+					url: response.url(),
+					method: responseRequest.method(),
+					status: response.status(),
+					statusText: response.statusText(),
+					headers: response.headers(),
+					data: await getCapturedBody(response, options),
+				});
+
+				if (captured.entries.length >= capture.count) {
+					resolve();
+				}
+			})().catch((error) => handleError(error, 'CAPTURE', options)));
+		});
+	});
+
+	return captured;
+}
+
+async function getCaptured(captured) {
+	// bodies can't be read after the page closes
+	await Promise.all(captured.pending);
+
+	return captured.options ? captured.entries : null;
+}
+
+async function waitForCaptured(captured, options) {
+	if (captured.options?.count > 0) {
+		const timeout = new AbortController();
+
+		// give the page time to make the requests we're waiting for
+		await Promise.race([
+			captured.complete,
+			timers.setTimeout(captured.options.timeout, null, { signal: timeout.signal }).catch(() => null),
+		]);
+
+		timeout.abort(); // don't keep the process alive for a timeout we no longer need
+
+		if (captured.entries.length < captured.options.count) {
+			handleError(new Error(`Captured ${captured.entries.length} of ${captured.options.count} responses before timing out`), 'CAPTURE_TIMEOUT', options);
+		}
+	}
+
+	return getCaptured(captured);
+}
+
+async function withTimeout(promise, timeout, message) {
+	if (!timeout) {
+		return promise;
+	}
+
+	const timer = new AbortController();
+
+	try {
+		return await Promise.race([
+			promise,
+			timers.setTimeout(timeout, null, { signal: timer.signal }).then(() => {
+				throw new Error(message);
+			}, () => null), // cancelled, the promise won the race
+		]);
+	} finally {
+		timer.abort();
+	}
+}
+
+const browserActions = {
+	waitFor: (page, selector, timeout) => page.waitForSelector(selector, { timeout }),
+	click: (page, selector, timeout) => page.click(selector, { timeout }),
+	fill: (page, [selector, value], timeout) => page.fill(selector, value, { timeout }),
+	waitForNetworkIdle: (page, _value, timeout) => page.waitForLoadState('networkidle', { timeout }),
+	evaluate: (page, fn, timeout) => withTimeout(page.evaluate(...[].concat(fn)), timeout, `Timeout ${timeout}ms exceeded.`), // function, or [function, argument]
+};
+
+async function runActions(page, actions) {
+	// one step at a time, every step depends on the page state left by the previous one
+	await [].concat(actions).reduce(async (previousStep, step, index) => {
+		await previousStep;
+
+		const type = Object.keys(step).find((key) => Object.hasOwn(browserActions, key));
+		const label = `${index + 1} (${step.name || type || 'unknown'})`;
+
+		if (!type) {
+			throw Object.assign(new Error(`Action ${label} is not a known action`), {
+				action: { index, type: null, step },
+			});
+		}
+
+		try {
+			await browserActions[type](page, step[type], step.timeout);
+		} catch (error) {
+			if (step.optional) {
+				return;
+			}
+
+			throw Object.assign(new Error(`Action ${label} failed: ${error.message}`), {
+				action: { index, type, step },
+			});
+		}
+	}, Promise.resolve());
+}
+
+/* eslint-disable no-undef */
+// evaluated in the page
+function getScrollProgress(selector) {
+	return selector
+		? document.querySelectorAll(selector).length
+		: document.documentElement.scrollHeight;
+}
+
+function hasScrollProgress({ selector, previous }) {
+	return (selector
+		? document.querySelectorAll(selector).length
+		: document.documentElement.scrollHeight) > previous;
+}
+
+function scrollToBottom() {
+	window.scrollTo(0, document.documentElement.scrollHeight);
+}
+/* eslint-enable no-undef */
+
+async function scrollPage(page, options, steps = 0) {
+	const {
+		item = null,
+		maxItems = Infinity,
+		maxScrolls = 50,
+		idleTimeout = 3000,
+	} = options.scroll === true ? {} : options.scroll;
+
+	const progress = await page.evaluate(getScrollProgress, item);
+
+	if (steps >= maxScrolls || (item && progress >= maxItems)) {
+		return { steps, items: item ? progress : null };
+	}
+
+	await page.evaluate(scrollToBottom);
+
+	// new items or a longer page mean more content was loaded
+	const hasProgress = await page.waitForFunction(hasScrollProgress, { selector: item, previous: progress }, { timeout: idleTimeout })
+		.then(() => true)
+		.catch(() => false);
+
+	if (!hasProgress) {
+		return { steps: steps + 1, items: item ? progress : null };
+	}
+
+	return scrollPage(page, options, steps + 1);
+}
+
+async function takeScreenshot(page, options) {
+	const { selector, fullPage, ...screenshotOptions } = options.screenshot === true ? {} : options.screenshot;
+
+	try {
+		if (selector) {
+			return await page.locator(selector).first().screenshot(screenshotOptions);
+		}
+
+		return await page.screenshot({ fullPage, ...screenshotOptions });
+	} catch (error) {
+		handleError(new Error(`Failed to take screenshot of ${page.url()}: ${error.message}`), 'SCREENSHOT', options);
+
+		return null;
+	}
+}
+
+async function printPdf(page, options) {
+	try {
+		return await page.pdf(options.pdf === true ? {} : options.pdf);
+	} catch (error) {
+		handleError(new Error(`Failed to print PDF of ${page.url()}: ${error.message}`), 'PDF', options);
+
+		return null;
+	}
+}
+
+async function saveDebugFiles(page, url, options, html) {
+	if (!options.debugDir) {
+		return null;
+	}
+
+	const filePath = path.resolve(options.debugDir, `${new Date().toISOString().replace(/[:.]/g, '-')}_${new URL(url).hostname}`);
+
+	try {
+		await fs.mkdir(path.resolve(options.debugDir), { recursive: true });
+
+		// HTML first, the screenshot is more likely to fail on a broken page
+		await fs.writeFile(`${filePath}.html`, html ?? await page.content());
+		await page.screenshot({ path: `${filePath}.png`, fullPage: true });
+
+		return [`${filePath}.html`, `${filePath}.png`];
+	} catch (error) {
+		handleError(new Error(`Failed to save debug files for ${url}: ${error.message}`), 'DEBUG', options);
+
+		return null;
+	}
+}
+
+async function routeRequestBody(page, url, method, curatedBody) {
+	const targetUrl = new URL(url).href;
+
+	const handler = async (route) => {
+		const routeRequest = route.request();
+
+		// only the navigation to the requested page itself, not its resources or redirects
+		if (!routeRequest.isNavigationRequest()
+			|| routeRequest.frame().parentFrame() !== null
+			|| routeRequest.redirectedFrom()
+			|| routeRequest.url() !== targetUrl) {
+			await route.fallback();
+			return;
+		}
+
+		await route.fallback({
+			method,
+			postData: curatedBody.body,
+			headers: {
+				...routeRequest.headers(),
+				...curatedBody.headers,
+			},
+		});
+	};
+
+	// registered last, so it's handled first, and the blocking and fixture routes see the altered request
+	await page.route('**/*', handler);
+
+	return async () => page.unroute('**/*', handler);
+}
+
+// anything else is local to the client, or can't be sent to the server
+const remoteScrapeOptions = ['method', 'body', 'form', 'headers', 'cookies', 'userAgent', 'browserUserAgent', 'timeout', 'retries', 'page', 'context', 'actions', 'block', 'capture', 'scroll', 'screenshot', 'pdf'];
+
+function getRemoteUrl(options, pathname) {
+	const address = new URL(options.remote.address);
+
+	address.protocol = address.protocol.replace(/^ws/, 'http'); // ws: to http:, wss: to https:
+	address.pathname = pathname;
+
+	return address.href;
+}
+
+function serializeRemoteAction(step) {
+	const [fn, arg] = [].concat(step.evaluate);
+
+	if (typeof fn !== 'function') {
+		return step;
+	}
+
+	// the function runs in the page either way, so it can be sent as an expression that calls it
+	return {
+		...step,
+		evaluate: `(${fn.toString()})(${JSON.stringify(arg) ?? ''})`,
+	};
+}
+
+function serializeRemoteOptions(options) {
+	const remoteOptions = Object.fromEntries(Object.entries(options).filter(([key]) => remoteScrapeOptions.includes(key)));
+
+	if (remoteOptions.actions) {
+		remoteOptions.actions = [].concat(remoteOptions.actions).map((step) => serializeRemoteAction(step));
+	}
+
+	return JSON.stringify(remoteOptions, (_key, value) => (value instanceof RegExp
+		? { regexp: value.source, flags: value.flags }
+		: value));
+}
+
+async function remoteScrape(instance, url, options, customOptions, { limiter, feedbackBase }) {
+	const { events } = instance;
+
+	if (customOptions.control) {
+		handleError(new Error(`Control functions can't run on the HTTP remote, ignoring control for ${url}`), 'REMOTE_CONTROL', options);
+	}
+
+	let scrapeRes;
+	let remoteStatus = null;
+
+	try {
+		// the remote turns requests away while all its browsers are at capacity, every attempt waits in line
+		const res = await withRetries(instance, () => limiter.schedule(() => undici.request(getRemoteUrl(options, '/scrape'), {
+			method: 'POST',
+			headers: {
+				'content-type': 'application/json',
+				'unprint-key': options.remote.key,
+			},
+			body: `{"url":${JSON.stringify(url)},"options":${serializeRemoteOptions(options)}}`,
+			dispatcher: getAgent(instance, options, null),
+		})), (attemptRes) => ({
+			status: attemptRes.statusCode,
+			statusText: 'Remote at capacity',
+			isFailed: attemptRes.statusCode === 503,
+			discard: async () => attemptRes.body.dump(),
+		}), { ...options, retries: { ...options.retries, statuses: [] } }, feedbackBase); // only the remote's own status
+
+		remoteStatus = res.statusCode;
+		scrapeRes = await res.body.json();
+
+		if (res.statusCode !== 200) {
+			throw new Error(`Remote responded with ${res.statusCode}: ${scrapeRes.statusMessage}`);
+		}
+	} catch (error) {
+		handleError(error, 'REMOTE_SCRAPE', options);
+
+		events.emit('requestError', {
+			...feedbackBase,
+			status: null,
+			statusText: error.message,
+		});
+
+		return {
+			ok: false,
+			status: remoteStatus === 503 ? 503 : null, // at capacity, worth retrying later
+			statusText: error.message,
+		};
+	}
+
+	const headers = scrapeRes.headers || {};
+
+	if (scrapeRes.controlError) {
+		events.emit('controlError', {
+			...feedbackBase,
+			error: new Error(scrapeRes.controlError),
+			action: null,
+		});
 
-		clients.delete(client.key);
-	}));
+		return {
+			ok: false,
+			controlError: scrapeRes.controlError,
+			status: scrapeRes.status,
+			statusText: scrapeRes.statusText,
+			headers,
+			cookies: curateCookies({ headers }, customOptions),
+			blocked: scrapeRes.blocked,
+		};
+	}
 
-	events.emit('browserClose', {
-		keys: closingClients.map((client) => client.key),
-		active: closingClients.reduce((acc, client) => acc + (client.active || 0), 0),
-		retired: false,
-		clients: clients.size,
+	if (scrapeRes.status === null) {
+		// the remote failed to navigate, retries were handled there
+		events.emit('requestError', {
+			...feedbackBase,
+			status: null,
+			statusText: scrapeRes.statusText,
+		});
+
+		return {
+			ok: false,
+			status: null,
+			statusText: scrapeRes.statusText,
+		};
+	}
+
+	if (!scrapeRes.ok) {
+		handleError(new Error(`HTTP response from ${url} not OK (${scrapeRes.status} ${scrapeRes.statusText}): ${scrapeRes.html}`), 'HTTP_NOT_OK', options);
+	}
+
+	events.emit(scrapeRes.ok ? 'requestSuccess' : 'requestError', {
+		...feedbackBase,
+		status: scrapeRes.status,
+		statusText: scrapeRes.statusText,
+	});
+
+	return curateResponse({
+		ok: scrapeRes.ok,
+		status: scrapeRes.status,
+		statusText: scrapeRes.statusText,
+		headers,
+	}, scrapeRes.html, options, {
+		url,
+		customOptions,
+		instance,
+		blocked: scrapeRes.blocked,
+		captured: scrapeRes.captured,
+		scroll: scrapeRes.scroll,
+		screenshot: scrapeRes.screenshot && Buffer.from(scrapeRes.screenshot, 'base64'),
+		pdf: scrapeRes.pdf && Buffer.from(scrapeRes.pdf, 'base64'),
 	});
 }
 
-async function closeBrowser(client, options = {}) {
-	if (options.client === null // this browser is single-use
-		|| (client.retired && client.active === 0)) { // this browser is retired to minimize garbage build-up
-		// this browser won't be reused, browser close DOES NOT automatically close context https://github.com/microsoft/playwright/issues/15163
-		await client.context?.close();
-		await client.browser.close();
+async function remoteFetch(instance, url, {
+	method,
+	headers,
+	body,
+	signal,
+}, options) {
+	const res = await undici.request(getRemoteUrl(options, '/fetch'), {
+		method: 'POST',
+		headers: {
+			'content-type': 'application/json',
+			'unprint-key': options.remote.key,
+		},
+		body: JSON.stringify({
+			url,
+			method,
+			headers,
+			timeout: options.timeout,
+			...(Buffer.isBuffer(body)
+				? { body: body.toString('base64'), bodyEncoding: 'base64' }
+				: { body }),
+		}),
+		dispatcher: getAgent(instance, options, null),
+		signal,
+	});
 
-		clients.delete(client.key);
+	// the remote responded itself, instead of forwarding the response
+	if (!res.headers['unprint-status']) {
+		const remoteError = await res.body.json().catch(() => null);
+		const error = new Error(`Remote responded with ${res.statusCode}: ${remoteError?.statusMessage}`);
 
-		events.emit('browserClose', {
-			keys: [client.key],
-			active: client.active,
-			retired: !!client.retired,
-			clients: clients.size,
-		});
+		// logged here, the request only knows it failed
+		handleError(error, 'REMOTE_FETCH', options);
 
-		return true;
+		throw error;
 	}
 
-	return false;
-}
+	const status = Number(res.headers['unprint-status']);
 
-function getAgent(options, url) {
-	const { hostname } = new URL(url);
+	// passes for both an undici request and a fetch response
+	return {
+		status,
+		statusCode: status,
+		statusText: res.headers['unprint-status-text'],
+		headers: JSON.parse(res.headers['unprint-headers']),
+		body: res.body,
+		text: async () => res.body.text(),
+	};
+}
 
-	if (options.proxy
-		&& options.proxy.enable !== false
-		&& (options.useProxy // defined locally
-		|| options.proxy.use // defined globally
-		|| options.proxy.hostnames?.includes(hostname))
-	) {
-		return new undici.ProxyAgent(`http://${options.proxy.host}:${options.proxy.port}/`, {
-			bodyTimeout: options.timeout,
-			interceptors: { // only applies to fetch
-				Agent: [
-					undici.interceptors.redirect({
-						maxRedirection: options.followRedirects ? options.maxRedirects : 0,
-					}),
-				],
+async function browserRequestAttempt(instance, attempt, {
+	url,
+	method,
+	options,
+	customOptions,
+	curatedBody,
+	limit,
+	proxy,
+	useRemote,
+	fixtureMode,
+	feedbackBase,
+}) {
+	const { events } = instance;
+	const isFinal = isFinalAttempt(attempt, options);
+
+	const client = await getBrowserInstance(instance, options.client, options, !!proxy, useRemote);
+
+	if (client instanceof Error) {
+		return {
+			res: {
+				ok: false,
+				status: client.status ?? null,
+				statusText: client.message,
 			},
-		});
+			status: client.status ?? null,
+			statusText: client.message,
+			isFailed: !!client.isRetryable,
+		};
 	}
 
-	return new undici.Agent({
-		bodyTimeout: options.timeout,
-		interceptors: { // only applies to fetch
-			Agent: [
-				undici.interceptors.redirect({
-					maxRedirection: options.followRedirects ? options.maxRedirects : 0,
-				}),
-			],
-		},
+	events.emit('browserOpen', {
+		keys: [client.key],
+		active: client.active,
+		retired: false,
+		clients: instance.clients.size,
 	});
-}
 
-function useRemoteRequest(options) {
-	if (options.remote.enable) {
-		if (typeof options.useRemote === 'boolean') {
-			return options.useRemote;
-		}
+	client.active += 1;
 
-		return options.remote.use;
+	let context;
+
+	try {
+		context = options.session
+			? await getSessionContext(instance, client, options, proxy)
+			: await getBrowserContext(client.browser, options, proxy);
+	} catch (error) {
+		handleError(new Error(`Failed to create browser context for ${url}: ${error.message}`), 'BROWSER_CONTEXT', options);
+
+		client.active -= 1;
+
+		await closeBrowser(instance, client, options);
+
+		return {
+			res: {
+				ok: false,
+				status: null,
+				statusText: error.message,
+			},
+			status: null,
+			statusText: error.message,
+		};
 	}
 
-	return false;
-}
+	const jar = getCookieJar(options);
 
-async function browserRequest(url, customOptions = {}) {
-	const options = merge.all([{
-		timeout: 60000,
-		extract: true,
-		client: 'main',
-		limiter: 'browser',
-		url,
-	}, globalOptions, customOptions]);
+	if (jar) {
+		await jar.loadIntoContext(context);
+	}
 
-	const { limiter, interval, concurrency } = getLimiter(url, options);
-	const agent = getAgent(options, url);
-	const useProxy = agent instanceof undici.ProxyAgent;
-	const useRemote = useRemoteRequest(options);
+	const page = await context.newPage();
 
-	const feedbackBase = {
-		url,
-		method: 'get',
-		interval,
-		concurrency,
-		isProxied: agent instanceof undici.ProxyAgent,
-		isBrowser: true,
-		isRemote: useRemote,
-		options,
-	};
+	if (fixtureMode === 'replay') {
+		await routeFixtures(page, options);
+	}
 
-	events.emit('requestInit', feedbackBase);
+	const blocked = await routeBlocking(page, options);
+	const captured = capturePageResponses(page, options);
+	const unrouteRequestBody = method === 'GET' ? null : await routeRequestBody(page, url, method, curatedBody);
 
-	return limiter.schedule(async () => {
-		const client = await getBrowserInstance(options.client, options, useProxy, useRemote);
+	const startedAt = new Date();
+	const recordings = fixtureMode === 'record'
+		? recordPageFixtures(page, options)
+		: [];
 
-		if (client instanceof Error) {
-			return {
-				ok: false,
-				status: null,
-				statusText: client.message,
-			};
-		}
+	let res;
 
-		events.emit('browserOpen', {
-			keys: [client.key],
-			active: client.active,
-			retired: false,
-			clients: clients.size,
+	try {
+		res = await page.goto(url, {
+			...options.page,
 		});
 
-		client.active += 1;
+		throttleLimiter(instance, limit, res?.status(), Date.now() - startedAt.getTime(), options);
+		reportProxy(instance, proxy, options);
+	} catch (error) {
+		reportProxy(instance, proxy, options, error);
+		res = error;
+	}
 
-		const context = await getBrowserContext(client.browser, options, useProxy);
-		const page = await context.newPage();
+	// later navigations by control or actions are regular requests
+	await unrouteRequestBody?.();
 
-		const res = await page.goto(url, {
-			...options.page,
-		}).catch((error) => error);
+	// there is no response when the navigation didn't leave the document, e.g. about:blank or a hash change
+	const status = res && !(res instanceof Error) ? res.status() : null;
+	const statusText = res instanceof Error ? res.name : res?.statusText() ?? null;
 
-		if (res instanceof Error) {
-			await context.close();
-			await page.close();
-			await closeBrowser(client, options);
+	if (!isFinal && (res instanceof Error || options.retries?.statuses?.includes(status))) {
+		// the next attempt starts over with a fresh page, another request may run in between
+		client.active -= 1;
 
-			return {
+		await page.close();
+		await jar?.saveFromContext(context);
+		await releaseContext(instance, context, options);
+		await closeBrowser(instance, client, options);
+
+		return {
+			res: {
 				ok: false,
-				status: null,
-				statusText: res.name,
-			};
-		}
+				status,
+				statusText,
+			},
+			status,
+			statusText,
+			headers: res instanceof Error ? null : res?.headers() ?? null,
+			isFailed: res instanceof Error,
+		};
+	}
 
-		const status = res.status();
-		const statusText = res.statusText();
-		const headers = await res.allHeaders();
+	if (res instanceof Error) {
+		const debugFiles = await saveDebugFiles(page, url, options);
 
-		if (!(status >= 200 && status < 300)) {
-			const data = await page.content();
+		client.active -= 1;
 
-			handleError(new Error(`HTTP response from ${url} not OK (${status} ${statusText}): ${data}`), 'HTTP_NOT_OK');
+		await page.close();
+		await releaseContext(instance, context, options);
+		await closeBrowser(instance, client, options);
 
-			events.emit('requestError', {
-				...feedbackBase,
+		return {
+			res: {
+				ok: false,
+				status: null,
+				statusText,
+				debugFiles,
+			},
+			status: null,
+			statusText,
+		};
+	}
+
+	const headers = res ? await res.allHeaders() : {};
+
+	if (res && !(status >= 200 && status < 300)) {
+		const data = await page.content();
+		const capturedResponses = await getCaptured(captured);
+		const debugFiles = await saveDebugFiles(page, url, options, data);
+
+		if (fixtureMode === 'record') {
+			await recordPageDocument(recordings, {
+				method,
+				url,
+				requestBody: curatedBody.body,
 				status,
 				statusText,
-			});
+				headers,
+				body: data,
+				startedAt,
+			}, options);
+		}
 
-			client.active -= 1;
+		handleError(new Error(`HTTP response from ${url} not OK (${status} ${statusText}): ${data}`), 'HTTP_NOT_OK', options);
 
-			await page.close();
-			await context.close();
-			await closeBrowser(client, options);
+		events.emit('requestError', {
+			...feedbackBase,
+			status,
+			statusText,
+		});
+
+		client.active -= 1;
+
+		await page.close();
+		await jar?.saveFromContext(context);
+		await releaseContext(instance, context, options);
+		await closeBrowser(instance, client, options);
 
-			return curateResponse({
+		return {
+			res: curateResponse({
 				ok: false,
 				status,
 				statusText,
@@ -1486,70 +4245,230 @@ async function browserRequest(url, customOptions = {}) {
 				cookies: curateCookies(res, customOptions),
 				response: res,
 				res,
-			}, data, options, { url, customOptions });
+			}, data, options, {
+				url,
+				customOptions,
+				instance,
+				blocked: blocked.count,
+				captured: capturedResponses,
+				debugFiles,
+			}),
+			status,
+			statusText,
+			headers,
+		};
+	}
+
+	events.emit('requestSuccess', feedbackBase);
+
+	await page.waitForLoadState();
+
+	let control = null;
+	let scroll = null;
+
+	if (options.actions || options.scroll || customOptions.control) {
+		try {
+			if (options.actions) {
+				await runActions(page, options.actions);
+			}
+
+			if (options.scroll) {
+				scroll = await scrollPage(page, options);
+			}
+
+			if (customOptions.control) {
+				control = await customOptions.control(page, client);
+			}
+		} catch (error) {
+			const debugFiles = await saveDebugFiles(page, url, options);
+
+			client.active -= 1;
+
+			await page.close();
+			await jar?.saveFromContext(context);
+			await releaseContext(instance, context, options);
+			await closeBrowser(instance, client, options);
+
+			events.emit('controlError', {
+				...feedbackBase,
+				error,
+				action: error.action || null, // the failed step, if it was an action
+			});
+
+			return {
+				res: {
+					ok: false,
+					controlError: error.message,
+					status,
+					statusText,
+					headers,
+					cookies: curateCookies(res, customOptions),
+					response: res,
+					res,
+					blocked: blocked.count,
+					debugFiles,
+				},
+				status,
+				statusText,
+				headers,
+			};
 		}
+	}
+
+	events.emit('controlSuccess', feedbackBase);
+
+	const capturedResponses = await waitForCaptured(captured, options);
+	const data = await page.content();
+	const screenshot = options.screenshot ? await takeScreenshot(page, options) : null;
+	const pdf = options.pdf ? await printPdf(page, options) : null;
+
+	if (fixtureMode === 'record') {
+		await recordPageDocument(recordings, {
+			method,
+			url,
+			requestBody: curatedBody.body,
+			status,
+			statusText,
+			headers,
+			body: data,
+			startedAt,
+		}, options);
+	}
+
+	await page.close();
+	await jar?.saveFromContext(context);
+	await releaseContext(instance, context, options);
+
+	events.emit('requestSuccess', {
+		...feedbackBase,
+		status,
+		statusText,
+	});
+
+	client.active -= 1;
+
+	await closeBrowser(instance, client, options);
+
+	return {
+		res: curateResponse({
+			status,
+			statusText,
+			headers,
+		}, data, options, {
+			url,
+			customOptions,
+			control,
+			instance,
+			blocked: blocked.count,
+			captured: capturedResponses,
+			screenshot,
+			pdf,
+			scroll,
+		}),
+		status,
+		statusText,
+		headers,
+	};
+}
+
+async function browserRequest(instance, url, customOptions = {}) {
+	const { events } = instance;
+
+	const options = merge.all([{
+		timeout: 60000,
+		extract: true,
+		client: 'main',
+		limiter: 'browser',
+		url,
+	}, instance.options, customOptions]);
 
-		events.emit('requestSuccess', feedbackBase);
+	const method = (!options.method || options.method === 'browser' ? 'get' : options.method).toUpperCase();
+	const curatedBody = method === 'GET'
+		? { body: null }
+		: curateRequestBody(options.body, options); // eslint-disable-line no-use-before-define
 
-		await page.waitForLoadState();
+	const limit = getLimiter(instance, url, options);
+	const { limiter, interval, concurrency } = limit;
+	const useRemote = useRemoteRequest(options);
+	const useRemoteScrape = useRemote && options.remote.mode === 'http';
+	const proxy = useRemoteScrape ? null : getProxy(instance, url, options, true); // the remote uses its own network
 
-		let control = null;
+	const feedbackBase = {
+		url,
+		method,
+		interval,
+		concurrency,
+		isProxied: !!proxy,
+		proxy: proxy?.key || null,
+		isBrowser: true,
+		isRemote: useRemote,
+		options,
+	};
 
-		if (customOptions.control) {
-			try {
-				control = await customOptions.control(page, client);
-			} catch (error) {
-				client.active -= 1;
+	events.emit('requestInit', feedbackBase);
 
-				await page.close();
-				await context.close();
-				await closeBrowser(client, options);
+	if (proxy && !isBrowserProxy(proxy)) {
+		const error = new Error(`Browsers can't authenticate with SOCKS proxy ${proxy.key}, use an HTTP proxy or a SOCKS proxy without credentials for ${url}`);
 
-				events.emit('controlError', {
-					...feedbackBase,
-					error,
-				});
+		handleError(error, 'PROXY_UNSUPPORTED', options);
 
-				return {
-					ok: false,
-					controlError: error.message,
-					status,
-					statusText,
-					headers,
-					cookies: curateCookies(res, customOptions),
-					response: res,
-					res,
-				};
-			}
-		}
+		events.emit('requestError', {
+			...feedbackBase,
+			status: null,
+			statusText: error.message,
+		});
 
-		events.emit('controlSuccess', feedbackBase);
+		return {
+			ok: false,
+			status: null,
+			statusText: error.message,
+		};
+	}
 
-		const data = await page.content();
+	const fixtureMode = getFixtureMode(options);
 
-		await page.close();
-		await context.close();
+	if (useRemoteScrape && fixtureMode) {
+		// the page is loaded on the remote, out of reach of the fixture routes
+		const error = new Error(`Fixtures can't be ${fixtureMode === 'record' ? 'recorded' : 'replayed'} through the HTTP remote, use the browser remote mode for ${url}`);
 
-		events.emit('requestSuccess', {
+		handleError(error, 'REMOTE_FIXTURES', options);
+
+		events.emit('requestError', {
 			...feedbackBase,
-			status,
-			statusText,
+			status: null,
+			statusText: error.message,
 		});
 
-		client.active -= 1;
+		return {
+			ok: false,
+			status: null,
+			statusText: error.message,
+		};
+	}
 
-		await closeBrowser(client, options);
+	if (fixtureMode === 'replay' && !await findFixture(method, url, curatedBody.body, options)) {
+		return handleMissingFixture(instance, method, url, feedbackBase);
+	}
 
-		return curateResponse({
-			status,
-			statusText,
-			headers,
-		}, data, options, {
-			url,
-			customOptions,
-			control,
-		});
-	});
+	if (useRemoteScrape) {
+		return remoteScrape(instance, url, options, customOptions, { limiter, feedbackBase });
+	}
+
+	// every attempt is one scheduled job, from the browser through to the closed page, so the concurrency caps open pages
+	const { res } = await withRetries(instance, (attempt) => limiter.schedule(() => browserRequestAttempt(instance, attempt, {
+		url,
+		method,
+		options,
+		customOptions,
+		curatedBody,
+		limit,
+		proxy,
+		useRemote,
+		fixtureMode,
+		feedbackBase,
+	})), (attemptResult) => attemptResult, options, feedbackBase);
+
+	return res;
 }
 
 function curateRequestBody(body, options) {
@@ -1578,7 +4497,157 @@ function curateRequestBody(body, options) {
 	return { body };
 }
 
-async function request(url, customOptions = {}, redirects = 0) {
+function useCacheRequest(options) {
+	if (options.cache && options.cache.enable !== false) {
+		if (typeof options.useCache === 'boolean') {
+			return options.useCache;
+		}
+
+		return !!options.cache.use;
+	}
+
+	return false;
+}
+
+function getCacheKey(url, method, body, headers, options) {
+	const cacheHeaders = Object.fromEntries((options.cache.headers || [])
+		.map((key) => [key, headers?.[key.toLowerCase()] ?? null])
+		.filter(([_key, value]) => value !== null));
+
+	return hashObject({
+		method,
+		url,
+		body: body ?? null,
+		headers: cacheHeaders,
+	});
+}
+
+function getCachePath(cacheKey, options) {
+	return path.resolve(options.cache.dir, `${cacheKey}.json`);
+}
+
+async function readCacheEntry(cacheKey, options) {
+	try {
+		const entry = await fs.readFile(getCachePath(cacheKey, options), 'utf8');
+
+		return JSON.parse(entry);
+	} catch (error) {
+		if (error.code !== 'ENOENT') {
+			handleError(new Error(`Failed to read cache entry ${cacheKey}: ${error.message}`), 'CACHE', options);
+		}
+
+		return null;
+	}
+}
+
+async function writeCacheEntry(cacheKey, entry, options) {
+	try {
+		await fs.mkdir(path.resolve(options.cache.dir), { recursive: true });
+		await fs.writeFile(getCachePath(cacheKey, options), JSON.stringify(entry));
+	} catch (error) {
+		handleError(new Error(`Failed to write cache entry ${cacheKey}: ${error.message}`), 'CACHE', options);
+	}
+}
+
+function getRevalidationHeaders(cacheEntry) {
+	if (!cacheEntry.etag && !cacheEntry.lastModified) {
+		return {};
+	}
+
+	return {
+		'cache-control': 'max-age=0', // otherwise fetch adds no-cache to conditional requests, and servers skip the comparison
+		...(cacheEntry.etag && { 'if-none-match': cacheEntry.etag }),
+		...(cacheEntry.lastModified && { 'if-modified-since': cacheEntry.lastModified }),
+	};
+}
+
+function getCachedResponse(cacheEntry) {
+	return {
+		ok: true,
+		status: cacheEntry.status,
+		statusText: cacheEntry.statusText,
+		headers: cacheEntry.headers,
+	};
+}
+
+function getRedirectUrl(url, status, headers, options, redirects) {
+	// fetch handles redirects internally, configured by agent/dispatcher, don't follow again unless we're keeping cookies
+	// the remote never follows redirects, so every location is checked against its allowlist
+	if ((options.interface === 'request' || getCookieJar(options) || useRemoteRequest(options))
+		&& [301, 302, 303, 307, 308].includes(status)
+		&& getHeader(headers, 'location')
+		&& options.followRedirects
+		&& redirects < options.maxRedirects
+	) {
+		return new URL(getHeader(headers, 'location'), url).toString();
+	}
+
+	return null;
+}
+
+/* eslint-disable no-use-before-define */
+function followRedirect(instance, newUrl, status, method, customOptions, redirects) {
+	// like browsers, see other and POST redirects continue as GET without a body
+	if (status === 303 || ([301, 302].includes(status) && method === 'POST')) {
+		return request(instance, newUrl, {
+			...customOptions,
+			method: 'get',
+			body: null,
+		}, redirects + 1);
+	}
+
+	return request(instance, newUrl, customOptions, redirects + 1);
+}
+
+async function replayRequest(instance, url, method, body, options, { customOptions, redirects, feedbackBase }) {
+	const { events } = instance;
+	const entry = await findFixture(method, url, body, options);
+
+	if (!entry) {
+		return handleMissingFixture(instance, method, url, feedbackBase);
+	}
+
+	const res = getFixtureResponse(entry);
+	const data = getFixtureBody(entry).toString();
+	const jar = getCookieJar(options);
+
+	if (jar) {
+		// recorded headers of the same name are joined by newlines
+		await jar.setCookies(getHeader(res.headers, 'set-cookie')?.split('\n') || [], url);
+	}
+
+	const redirectUrl = getRedirectUrl(url, res.status, res.headers, options, redirects);
+
+	if (redirectUrl) {
+		return followRedirect(instance, redirectUrl, res.status, method, customOptions, redirects);
+	}
+
+	if (!res.ok) {
+		handleError(new Error(`HTTP response from ${url} not OK (${res.status} ${res.statusText})`), 'HTTP_NOT_OK', options);
+
+		events.emit('requestError', {
+			...feedbackBase,
+			status: res.status,
+			statusText: res.statusText,
+		});
+
+		return curateResponse(res, data, options, { url, customOptions, instance });
+	}
+
+	events.emit('requestSuccess', {
+		...feedbackBase,
+		status: res.status,
+		statusText: res.statusText,
+		cacheHit: false,
+	});
+
+	return curateResponse(res, data, options, { url, customOptions, instance });
+}
+/* eslint-enable no-use-before-define */
+
+async function request(instance, url, customOptions = {}, redirects = 0) {
+	const { events } = instance;
+
 	const options = merge.all([{
 		method: 'get',
 		body: null,
@@ -1588,40 +4657,39 @@ async function request(url, customOptions = {}, redirects = 0) {
 		followRedirects: true,
 		maxRedirects: 3,
 		url,
-	}, globalOptions, customOptions]);
+	}, instance.options, curateCacheOptions(customOptions)]);
 
 	const method = options.method.toUpperCase(); // uppercase required by undici
 	const body = options.body;
 
 	if (options.useBrowser || options.method === 'browser') {
-		return browserRequest(url, options);
+		return browserRequest(instance, url, options);
 	}
 
-	const { limiter, interval, concurrency } = getLimiter(url, options);
+	const limit = getLimiter(instance, url, options);
+	const { limiter, interval, concurrency } = limit;
 
-	const agent = getAgent(options, url);
+	const useRemote = useRemoteRequest(options);
+	const proxy = useRemote ? null : getProxy(instance, url, options); // the remote uses its own network
+	const agent = getAgent(instance, options, proxy);
 
 	const feedbackBase = {
 		url,
 		method,
 		interval,
 		concurrency,
-		isProxied: agent instanceof undici.ProxyAgent,
+		isProxied: !!proxy,
+		proxy: proxy?.key || null,
 		isBrowser: false,
-		isRemote: false,
+		isRemote: useRemote,
 		options,
 	};
 
 	events.emit('requestInit', feedbackBase);
 
-	/* only for browsers atm
-	if (isRemote) {
-		return remoteRequest(url, method, options, feedbackBase);
-	}
-	*/
-
 	const curatedBody = curateRequestBody(body, options);
-	const curatedCookie = getCookie(options);
+	const jar = getCookieJar(options);
+	const curatedCookie = getCookie(options, jar && await jar.getCookieValues(url));
 
 	const headers = curateHeaders({
 		...curatedBody.headers,
@@ -1630,39 +4698,154 @@ async function request(url, customOptions = {}, redirects = 0) {
 		cookie: curatedCookie,
 	}, options);
 
-	const res = await limiter.schedule(async () => undici[options.interface](url, {
-		dispatcher: agent,
-		method,
-		body: curatedBody.body,
-		headers,
-		redirect: options.followRedirects ? 'follow' : 'manual',
-		signal: options.abortSignal,
-	})).catch((error) => ({ // tends to happen when proxy can't reach host
-		status: 500,
-		statusText: 'Request aborted',
-		async text() { return error.cause?.cause?.message || 'Request aborted'; },
-	}));
+	const fixtureMode = getFixtureMode(options);
+
+	if (fixtureMode === 'replay') {
+		return replayRequest(instance, url, method, curatedBody.body, options, { customOptions, redirects, feedbackBase });
+	}
+
+	const cacheKey = useCacheRequest(options) && getCacheKey(url, method, curatedBody.body, headers, options);
+	const cacheEntry = cacheKey && await readCacheEntry(cacheKey, options);
+
+	if (cacheEntry && Date.now() - cacheEntry.storedAt < options.cache.ttl) {
+		events.emit('requestSuccess', {
+			...feedbackBase,
+			status: cacheEntry.status,
+			statusText: cacheEntry.statusText,
+			cacheHit: true,
+		});
+
+		return curateResponse(getCachedResponse(cacheEntry), cacheEntry.body, options, {
+			url,
+			customOptions,
+			instance,
+			cacheHit: true,
+		});
+	}
+
+	const startedAt = new Date();
+
+	// every attempt is scheduled separately, retries wait in line like any other request
+	const res = await withRetries(instance, () => limiter.schedule(async () => {
+		const attemptStartedAt = Date.now();
+
+		const attemptOptions = {
+			dispatcher: agent,
+			method,
+			body: curatedBody.body,
+			headers: cacheEntry
+				? { ...headers, ...getRevalidationHeaders(cacheEntry) } // stale entry, server may confirm it's still valid
+				: headers,
+			redirect: options.followRedirects && !jar ? 'follow' : 'manual', // cookies set during redirects need to go into the jar
+			signal: options.abortSignal,
+		};
+
+		const attemptRes = useRemote
+			? await remoteFetch(instance, url, attemptOptions, options)
+			: await undici[options.interface](url, attemptOptions);
+
+		// measured in the limiter, time spent waiting in line is not the host's fault
+		throttleLimiter(instance, limit, attemptRes.statusCode || attemptRes.status, Date.now() - attemptStartedAt, options);
+
+		return attemptRes;
+	}).then((attemptRes) => {
+		reportProxy(instance, proxy, options);
+		return attemptRes;
+	}).catch((error) => { // tends to happen when proxy can't reach host
+		if (!options.abortSignal?.aborted) {
+			reportProxy(instance, proxy, options, error.cause || error);
+		}
+
+		return {
+			status: 500,
+			statusText: 'Request aborted',
+			isAborted: true,
+			async text() { return error.cause?.cause?.message || 'Request aborted'; },
+		};
+	}), (attemptRes) => ({
+		status: attemptRes.statusCode || attemptRes.status,
+		statusText: attemptRes.statusText,
+		headers: attemptRes.headers,
+		isFailed: !!attemptRes.isAborted,
+		discard: async () => {
+			// release the connection of the response we're not going to read
+			if (typeof attemptRes.body?.dump === 'function') {
+				await attemptRes.body.dump();
+			} else if (typeof attemptRes.body?.cancel === 'function') {
+				await attemptRes.body.cancel();
+			}
+		},
+	}), options, feedbackBase);
 
 	const status = res.statusCode || res.status;
 
-	// fetch handles redirects internally, configured by agent/dispatcher, don't follow again
-	if (options.interface === 'request'
-		&& [301, 302, 303, 307, 308].includes(status)
-		&& res.headers.location
-		&& options.followRedirects
-		&& redirects < options.maxRedirects
-	) {
-		const newUrl = new URL(res.headers.location, url).toString();
+	if (jar) {
+		await jar.setCookies(res, url);
+	}
+
+	const redirectUrl = getRedirectUrl(url, status, res.headers, options, redirects);
+
+	if (redirectUrl) {
+		if (fixtureMode === 'record') {
+			await recordFixture({
+				method,
+				url,
+				requestHeaders: headers,
+				requestBody: curatedBody.body,
+				status,
+				statusText: res.statusText,
+				headers: res.headers,
+				body: '',
+				startedAt,
+			}, options);
+		}
 
-		return request(newUrl, customOptions, redirects + 1);
+		return followRedirect(instance, redirectUrl, status, method, customOptions, redirects);
 	}
 
 	const data = options.interface === 'fetch'
 		? await res.text()
 		: await res.body.text();
 
+	if (fixtureMode === 'record') {
+		await recordFixture({
+			method,
+			url,
+			requestHeaders: headers,
+			requestBody: curatedBody.body,
+			status,
+			statusText: res.statusText,
+			headers: res.headers,
+			body: data,
+			startedAt,
+		}, options);
+	}
+
+	if (status === 304 && cacheEntry) {
+		const revalidatedEntry = {
+			...cacheEntry,
+			storedAt: Date.now(),
+		};
+
+		await writeCacheEntry(cacheKey, revalidatedEntry, options);
+
+		events.emit('requestSuccess', {
+			...feedbackBase,
+			status: revalidatedEntry.status,
+			statusText: revalidatedEntry.statusText,
+			cacheHit: true,
+		});
+
+		return curateResponse(getCachedResponse(revalidatedEntry), revalidatedEntry.body, options, {
+			url,
+			customOptions,
+			instance,
+			cacheHit: true,
+		});
+	}
+
 	if (!(status >= 200 && status < 300)) {
-		handleError(new Error(`HTTP response from ${url} not OK (${status} ${res.statusText})`), 'HTTP_NOT_OK');
+		handleError(new Error(`HTTP response from ${url} not OK (${status} ${res.statusText})`), 'HTTP_NOT_OK', options);
 
 		events.emit('requestError', {
 			...feedbackBase,
@@ -1678,73 +4861,193 @@ async function request(url, customOptions = {}, redirects = 0) {
 			cookies: curateCookies(res, customOptions),
 			response: res,
 			res,
-		}, data, options, { url, customOptions });
+		}, data, options, { url, customOptions, instance });
+	}
+
+	if (cacheKey) {
+		await writeCacheEntry(cacheKey, {
+			url,
+			method,
+			status,
+			statusText: res.statusText,
+			headers: typeof res.headers.get === 'function'
+				? Object.fromEntries(res.headers.entries())
+				: res.headers,
+			body: data,
+			etag: getHeader(res.headers, 'etag'),
+			lastModified: getHeader(res.headers, 'last-modified'),
+			storedAt: Date.now(),
+		}, options);
 	}
 
 	events.emit('requestSuccess', {
 		...feedbackBase,
 		status,
 		statusText: res.statusText,
+		cacheHit: false,
 	});
 
-	return curateResponse(res, data, options, { url, customOptions });
+	return curateResponse(res, data, options, { url, customOptions, instance });
 }
 
-async function get(url, options) {
-	return request(url, {
+async function get(instance, url, options) {
+	return request(instance, url, {
 		...options,
 		method: 'GET',
 	});
 }
 
-async function post(url, body, options) {
-	return request(url, {
+async function post(instance, url, body, options) {
+	return request(instance, url, {
 		...options,
 		method: 'POST',
 		body,
 	});
 }
 
-function on(trigger, fn) {
-	events.on(trigger, fn);
-}
-
-function off(trigger, fn) {
-	events.off(trigger, fn);
-}
-
-const unprint = {
-	configure,
-	on,
-	off,
-	events,
-	get,
-	post,
-	request,
-	browserRequest,
-	browser: browserRequest,
-	closeBrowser,
-	closeAllBrowsers,
-	getAllBrowsers,
-	getBrowserInstance,
-	initialize: init,
-	initializeAll: initAll,
-	init,
-	initAll,
-	extractDate,
-	extractDateAgo,
-	extractDuration,
-	extractNumber,
-	extractSourceSet,
-	extractTimestamp,
-	formatDate,
-	dateConstants: {
-		ISO_8601: moment.ISO_8601,
-		...moment.HTML5_FMT,
-	},
-	prefixUrl,
-	options: configure,
-	query: initQueryFns(queryFns),
-};
+function resolveNextPageUrl(nextUrl, pageUrl) {
+	if (!nextUrl) {
+		return null;
+	}
+
+	try {
+		return new URL(nextUrl, pageUrl).href;
+	} catch (_error) {
+		return null;
+	}
+}
+
+async function getNextPageUrl(instance, res, pageUrl, pageNumber, options, requestOptions) {
+	if (typeof options.next === 'function') {
+		return resolveNextPageUrl(await options.next(res, pageNumber), pageUrl);
+	}
+
+	if (options.next) {
+		// the next link may be outside of the selected element(s), query the full page
+		const context = Array.isArray(res.context) || requestOptions.select || requestOptions.selectAll
+			? init(res.data, null, { origin: pageUrl, instance })
+			: res.context;
+
+		const nextPath = context?.query.attribute(options.next, 'href', { forceGetAttribute: true });
+
+		return resolveNextPageUrl(nextPath, pageUrl);
+	}
+
+	if (options.template.includes('{page}')) {
+		return options.template.replace(/{page}/g, pageNumber + 1);
+	}
+
+	return null;
+}
+
+async function* paginate(instance, url, customOptions = {}) {
+	const {
+		next,
+		maxPages = Infinity,
+		startPage = 1,
+		stopWhen,
+		...requestOptions
+	} = customOptions;
+
+	const options = {
+		next,
+		template: url,
+	};
+
+	const visitedUrls = new Set();
+
+	let pageUrl = url.replace(/{page}/g, startPage);
+	let pageNumber = startPage;
+	let pageCount = 0;
+
+	while (pageUrl && pageCount < maxPages) {
+		if (visitedUrls.has(pageUrl)) {
+			// next link points back to a page we've already seen
+			break;
+		}
+
+		visitedUrls.add(pageUrl);
+
+		const res = await request(instance, pageUrl, requestOptions); // eslint-disable-line no-await-in-loop
+
+		if (!res.ok) {
+			break;
+		}
+
+		if (stopWhen && await stopWhen(res, pageNumber)) { // eslint-disable-line no-await-in-loop
+			break;
+		}
+
+		pageCount += 1;
+
+		yield res;
+
+		pageUrl = await getNextPageUrl(instance, res, pageUrl, pageNumber, options, requestOptions); // eslint-disable-line no-await-in-loop
+		pageNumber += 1;
+	}
+}
+
+async function close(instance) {
+	const { dispatchers, proxies } = instance;
+	const closingDispatchers = Array.from(dispatchers.values());
+
+	dispatchers.clear();
+
+	clearInterval(proxies.healthCheck);
+	proxies.healthCheck = null;
+
+	await Promise.all(closingDispatchers.map((dispatcher) => dispatcher.close()));
+}
+
+function createApi(instance) {
+	const configureInstance = (newOptions) => configure(instance, newOptions);
+	const browser = (url, options) => browserRequest(instance, url, options);
+	const initialize = (source, selector, options) => init(source, selector, { ...options, instance });
+	const initializeAll = (source, selector, options) => initAll(source, selector, { ...options, instance });
+
+	return {
+		configure: configureInstance,
+		on: (trigger, fn) => instance.events.on(trigger, fn),
+		off: (trigger, fn) => instance.events.off(trigger, fn),
+		events: instance.events,
+		get: (url, options) => get(instance, url, options),
+		post: (url, body, options) => post(instance, url, body, options),
+		request: (url, options) => request(instance, url, options),
+		paginate: (url, options) => paginate(instance, url, options),
+		browserRequest: browser,
+		browser,
+		closeBrowser: (client, options) => closeBrowser(instance, client, options),
+		closeAllBrowsers: () => closeAllBrowsers(instance),
+		getAllBrowsers: () => getAllBrowsers(instance),
+		getBrowserInstance: (scope, options, useProxy, useRemote) => getBrowserInstance(instance, scope, options, useProxy, useRemote),
+		checkProxies: (options) => checkProxies(instance, options),
+		close: () => close(instance),
+		getLimits: () => getLimits(instance),
+		create: (options) => createApi(createInstance(options)),
+		createCookieJar: (jarOptions) => createCookieJar(instance, jarOptions),
+		initialize,
+		initializeAll,
+		init: initialize,
+		initAll: initializeAll,
+		extract: (source, schema, options) => extract(source, schema, { ...options, instance }),
+		extractDate,
+		extractDateAgo,
+		extractDuration,
+		extractJsonp,
+		extractNumber,
+		extractScriptVariable,
+		extractSourceSet,
+		extractTimestamp,
+		formatDate,
+		dateConstants: {
+			ISO_8601: moment.ISO_8601,
+			...moment.HTML5_FMT,
+		},
+		prefixUrl,
+		options: configureInstance,
+		query: initQueryFns(queryFns, null, instance),
+	};
+}
 
-module.exports = unprint;
+// the default export is an instance too, configured through unprint.options() as before
+module.exports = createApi(defaultInstance);
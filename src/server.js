@@ -2,6 +2,11 @@
 
 const crypto = require('crypto');
 const os = require('os');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const { pipeline } = require('stream/promises');
+const undici = require('undici');
 const WebSocket = require('ws');
 const express = require('express');
 const expressWs = require('express-ws');
@@ -13,9 +18,14 @@ const { hri } = require('human-readable-ids');
 
 require('dotenv').config({ quiet: true });
 
+const unprint = require('./app');
 const pkg = require('../package.json');
 
 const memoryLimit = Number(process.env.UNPRINT_MEMORY_LIMIT) || Math.round(Math.max(1024, (os.totalmem() / 1024 / 1024) * 0.3)); // MB, aim for 30% of total available
+const browserCount = Math.max(1, Number(process.env.UNPRINT_BROWSERS) || 1);
+const maxClients = Number(process.env.UNPRINT_MAX_CLIENTS) || Infinity; // per browser
+const queueTimeout = process.env.UNPRINT_QUEUE_TIMEOUT ? Number(process.env.UNPRINT_QUEUE_TIMEOUT) : 30_000; // ms, 0 rejects clients beyond capacity right away
+const bodyLimit = process.env.UNPRINT_BODY_LIMIT || '10mb';
 
 class HttpError extends Error {
 	constructor(message, httpCode) {
@@ -46,6 +56,286 @@ function log(level, data, clientId) {
 
 const logger = Object.fromEntries(logLevels.map((level) => [level, (...data) => log(level, ...data)]));
 
+// options that would touch the server's disk or configure the server itself are not accepted
+const scrapeOptions = ['method', 'body', 'form', 'headers', 'cookies', 'userAgent', 'browserUserAgent', 'timeout', 'retries', 'actions', 'scroll'];
+const scrapePageOptions = ['waitUntil', 'timeout', 'referer'];
+const scrapeContextOptions = ['viewport', 'screen', 'locale', 'timezoneId', 'geolocation', 'permissions', 'colorScheme', 'reducedMotion', 'isMobile', 'hasTouch', 'deviceScaleFactor', 'javaScriptEnabled', 'ignoreHTTPSErrors', 'bypassCSP', 'offline', 'httpCredentials'];
+const scrapeScreenshotOptions = ['selector', 'fullPage', 'type', 'quality', 'omitBackground', 'clip', 'scale', 'animations'];
+const scrapePdfOptions = ['format', 'width', 'height', 'landscape', 'margin', 'printBackground', 'scale', 'pageRanges', 'preferCSSPageSize'];
+
+const scraper = unprint.create({
+	extract: false, // the client does the querying
+	cache: {
+		enable: false,
+	},
+	limits: {
+		browser: {
+			interval: 0, // the clients are already rate limited
+			concurrency: null,
+		},
+	},
+});
+
+function pick(object, keys) {
+	if (!object || typeof object !== 'object') {
+		return object;
+	}
+
+	return Object.fromEntries(Object.entries(object).filter(([key]) => keys.includes(key)));
+}
+
+function reviveRegExps(value) {
+	if (Array.isArray(value)) {
+		return value.map((item) => reviveRegExps(item));
+	}
+
+	if (value && typeof value === 'object') {
+		if (typeof value.regexp === 'string') {
+			return new RegExp(value.regexp, value.flags);
+		}
+
+		return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reviveRegExps(item)]));
+	}
+
+	return value;
+}
+
+function curateScrapeOptions(options = {}) {
+	if (!options || typeof options !== 'object' || Array.isArray(options)) {
+		throw new HttpError('Invalid options', 400);
+	}
+
+	try {
+		return Object.fromEntries(Object.entries({
+			...pick(options, scrapeOptions),
+			page: pick(options.page, scrapePageOptions),
+			context: pick(options.context, scrapeContextOptions),
+			block: reviveRegExps(options.block),
+			capture: reviveRegExps(options.capture),
+			screenshot: pick(options.screenshot, scrapeScreenshotOptions),
+			pdf: pick(options.pdf, scrapePdfOptions),
+		}).filter(([_key, value]) => value !== undefined));
+	} catch (error) {
+		throw new HttpError(`Invalid options: ${error.message}`, 400);
+	}
+}
+
+function curateScrapeResponse(res) {
+	return {
+		ok: res.ok,
+		status: res.status,
+		statusText: res.statusText,
+		headers: res.headers || null,
+		html: res.body ?? null,
+		controlError: res.controlError || null,
+		blocked: res.blocked ?? 0,
+		captured: res.captured || null,
+		scroll: res.scroll || null,
+		screenshot: res.screenshot?.toString('base64') || null,
+		pdf: res.pdf?.toString('base64') || null,
+	};
+}
+
+// empty allows any public hostname
+const fetchHostnames = (process.env.UNPRINT_FETCH_HOSTNAMES || '').split(',').map((hostname) => hostname.trim().toLowerCase()).filter(Boolean);
+
+const privateRanges = new net.BlockList();
+
+[
+	['0.0.0.0', 8],
+	['10.0.0.0', 8],
+	['100.64.0.0', 10],
+	['127.0.0.0', 8],
+	['169.254.0.0', 16],
+	['172.16.0.0', 12],
+	['192.0.0.0', 24],
+	['192.168.0.0', 16],
+	['198.18.0.0', 15],
+	['224.0.0.0', 4],
+	['240.0.0.0', 4],
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+
+// IPv4-mapped addresses are checked against the IPv4 ranges, a range for them would also match every IPv4 address
+[
+	['::', 128],
+	['::1', 128],
+	['64:ff9b::', 96], // NAT64
+	['fc00::', 7],
+	['fe80::', 10],
+	['ff00::', 8],
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+// headers that only apply to the connection between the client and the server
+const fetchOmitHeaders = ['host', 'connection', 'keep-alive', 'upgrade', 'transfer-encoding', 'content-length', 'accept-encoding', 'unprint-key'];
+const proxyOmitHeaders = ['host', 'connection', 'keep-alive', 'upgrade', 'transfer-encoding', 'proxy-connection', 'proxy-authorization'];
+
+function isPrivateAddress(address) {
+	return privateRanges.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// checked on every connection rather than in advance, so a hostname can't resolve differently by the time it's requested
+function lookupPublicAddress(hostname, options, callback) {
+	dns.lookup(hostname, options, (error, address, family) => {
+		if (error) {
+			callback(error);
+			return;
+		}
+
+		const privateAddress = [].concat(address).map((entry) => entry.address || entry).find((entryAddress) => isPrivateAddress(entryAddress));
+
+		if (privateAddress) {
+			callback(new Error(`${hostname} resolves to private address ${privateAddress}`));
+			return;
+		}
+
+		callback(null, address, family);
+	});
+}
+
+const fetchAgent = new undici.Agent({
+	connect: {
+		lookup: lookupPublicAddress,
+	},
+});
+
+function getFetchUrl(url) {
+	let fetchUrl;
+
+	try {
+		fetchUrl = new URL(url);
+	} catch (error) {
+		throw new HttpError('Missing or invalid URL', 400);
+	}
+
+	if (!['http:', 'https:'].includes(fetchUrl.protocol)) {
+		throw new HttpError(`Protocol ${fetchUrl.protocol} not allowed`, 400);
+	}
+
+	const hostname = fetchUrl.hostname.replace(/^\[|\]$/g, ''); // IPv6 brackets
+
+	if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+		throw new HttpError(`Private address ${hostname} not allowed`, 403);
+	}
+
+	if (fetchHostnames.length > 0 && !fetchHostnames.some((allowedHostname) => hostname === allowedHostname || hostname.endsWith(`.${allowedHostname}`))) {
+		throw new HttpError(`Hostname ${hostname} not allowed`, 403);
+	}
+
+	return fetchUrl;
+}
+
+function omitProxyHeaders(headers) {
+	return Object.fromEntries(Object.entries(headers).filter(([key]) => !proxyOmitHeaders.includes(key.toLowerCase())));
+}
+
+// the browser of a scrape connects through this proxy, so navigations, redirects and sub-resources get the same checks as /fetch
+function createScrapeProxy() {
+	const proxyServer = http.createServer(async (req, res) => {
+		try {
+			const proxyRes = await undici.request(getFetchUrl(req.url), {
+				method: req.method,
+				headers: omitProxyHeaders(req.headers),
+				body: ['GET', 'HEAD'].includes(req.method) ? null : req,
+				dispatcher: fetchAgent,
+			});
+
+			res.writeHead(proxyRes.statusCode, omitProxyHeaders(proxyRes.headers));
+
+			await pipeline(proxyRes.body, res);
+		} catch (error) {
+			logger.warn(`Scrape request to ${req.url} refused: ${error.cause?.message || error.message}`);
+
+			if (res.headersSent) {
+				res.destroy();
+				return;
+			}
+
+			res.writeHead(error.httpCode || 502).end(error.message);
+		}
+	});
+
+	proxyServer.on('connect', (req, clientSocket, head) => {
+		let target;
+
+		try {
+			target = getFetchUrl(`https://${req.url}`);
+		} catch (error) {
+			logger.warn(`Scrape connection to ${req.url} refused: ${error.message}`);
+			clientSocket.end(`HTTP/1.1 ${error.httpCode} ${http.STATUS_CODES[error.httpCode]}\r\n\r\n`);
+
+			return;
+		}
+
+		let isConnected = false;
+
+		const upstreamSocket = net.connect({
+			host: target.hostname.replace(/^\[|\]$/g, ''), // IPv6 brackets
+			port: Number(target.port) || 443,
+			lookup: lookupPublicAddress,
+		}, () => {
+			isConnected = true;
+
+			clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+			upstreamSocket.write(head);
+			upstreamSocket.pipe(clientSocket);
+			clientSocket.pipe(upstreamSocket);
+		});
+
+		upstreamSocket.on('error', (error) => {
+			if (isConnected) {
+				clientSocket.destroy();
+				return;
+			}
+
+			logger.warn(`Scrape connection to ${req.url} refused: ${error.message}`);
+			clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+		});
+
+		clientSocket.on('error', () => upstreamSocket.destroy());
+	});
+
+	return proxyServer;
+}
+
+// the path as express routes it, without query, trailing slash or case
+function getRoutePath(url) {
+	return new URL(url, 'http://localhost').pathname.replace(/\/+$/, '').toLowerCase() || '/';
+}
+
+function formatMetric(name, type, help, samples) {
+	return [
+		`# HELP unprint_${name} ${help}`,
+		`# TYPE unprint_${name} ${type}`,
+		...[].concat(samples).map(({ labels, value }) => {
+			const labelString = labels
+				? `{${Object.entries(labels).map(([key, labelValue]) => `${key}="${String(labelValue).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\n')}"`).join(',')}}`
+				: '';
+
+			return `unprint_${name}${labelString} ${value}`;
+		}),
+	].join('\n');
+}
+
+function formatMetrics(status) {
+	return `${[
+		formatMetric('info', 'gauge', 'Server version', { labels: { version: status.version }, value: 1 }),
+		formatMetric('uptime_seconds', 'gauge', 'Time since the server started', { value: status.uptime }),
+		formatMetric('clients', 'gauge', 'Connected clients', { value: status.clients.length }),
+		formatMetric('queued_clients', 'gauge', 'Clients waiting for a browser', { value: status.queued }),
+		formatMetric('rejected_clients_total', 'counter', 'Clients rejected because all browsers were at capacity', { value: status.rejections }),
+		formatMetric('browsers', 'gauge', 'Browsers by state', [
+			{ labels: { state: 'active' }, value: status.browsers.filter((browser) => !browser.isRetired).length },
+			{ labels: { state: 'retired' }, value: status.browsers.filter((browser) => browser.isRetired).length },
+		]),
+		formatMetric('browser_clients', 'gauge', 'Clients using a browser', status.browsers.map((browser) => ({ labels: { browser: browser.id }, value: browser.clients }))),
+		formatMetric('browser_memory_bytes', 'gauge', 'Memory used by a browser and its child processes, as of the last check', status.browsers
+			.filter((browser) => browser.memory !== null)
+			.map((browser) => ({ labels: { browser: browser.id }, value: browser.memory * 1024 * 1024 }))),
+		formatMetric('browser_recycles_total', 'counter', 'Browsers cycled for exceeding the memory limit', { value: status.recycles }),
+		formatMetric('navigations_total', 'counter', 'Page navigations by clients and scrapes', { value: status.navigations }),
+	].join('\n')}\n`;
+}
+
 function closeSocket(socket, code, reason) {
 	const safeCode = code >= 1000 && code <= 1015 && code !== 1006
 		? code
@@ -66,13 +356,39 @@ async function getClient() {
 	const endpoint = browser.wsEndpoint();
 
 	return {
+		id: hri.random(),
 		browser,
 		endpoint,
 		active: 0,
 		isRetired: false,
+		memory: null, // MB, updated by the monitor
+		launchedAt: new Date(),
 	};
 }
 
+function authenticate(req) {
+	if (!process.env.UNPRINT_KEY) {
+		return;
+	}
+
+	const ip = req.ip || req.socket.remoteAddress; // websocket upgrades are verified before express sees them
+
+	if (!req.headers['unprint-key']) {
+		logger.warn(`Unauthenticated request from ${ip}`);
+
+		throw new HttpError('Missing key', 401);
+	}
+
+	if (process.env.UNPRINT_KEY.length !== req.headers['unprint-key'].length || !crypto.timingSafeEqual(
+		Buffer.from(process.env.UNPRINT_KEY, 'utf16le'),
+		Buffer.from(req.headers['unprint-key'], 'utf16le'),
+	)) {
+		logger.warn(`Invalid key from ${ip}`);
+
+		throw new HttpError('Invalid key', 401);
+	}
+}
+
 async function initServer() {
 	const app = express();
 
@@ -80,33 +396,126 @@ async function initServer() {
 	const [host, portString] = address.split(':');
 	const port = portString ? Number(portString) : 3333;
 
-	let client = await getClient();
+	const pool = await Promise.all(Array.from({ length: browserCount }, () => getClient()));
+	const scrapeProxy = createScrapeProxy();
 
-	async function monitorBrowser() {
-		await timers.setTimeout(60_000); // 1 minute
+	await new Promise((resolve) => {
+		scrapeProxy.listen(0, '127.0.0.1', resolve);
+	});
+
+	const scrapeProxyUrl = `http://127.0.0.1:${scrapeProxy.address().port}`;
+	const waitingClients = []; // waiting for a browser, first come first served
+	const connectionClients = new WeakMap(); // websocket upgrade request to assigned browser, until the handler takes it
+	const connections = new Map(); // connected websocket clients by id
+	const retiredClients = new Set(); // cycled out of the pool, waiting for their clients to finish
+
+	const stats = {
+		startedAt: new Date(),
+		recycles: 0,
+		navigations: 0,
+		rejections: 0,
+	};
+
+	function getAvailableClient() {
+		return pool
+			.filter((poolClient) => !poolClient.isRetired && poolClient.active < maxClients)
+			.reduce((leastLoaded, poolClient) => (!leastLoaded || poolClient.active < leastLoaded.active ? poolClient : leastLoaded), null);
+	}
+
+	function drainQueue() {
+		const availableClient = waitingClients.length > 0 && getAvailableClient();
+
+		if (!availableClient) {
+			return;
+		}
+
+		const waiting = waitingClients.shift();
+
+		clearTimeout(waiting.timeout);
+		availableClient.active += 1;
+		waiting.resolve(availableClient);
+
+		drainQueue();
+	}
+
+	async function acquireClient() {
+		const availableClient = getAvailableClient();
+
+		if (availableClient) {
+			availableClient.active += 1;
+
+			return availableClient;
+		}
+
+		if (queueTimeout <= 0) {
+			stats.rejections += 1;
+			throw new HttpError('All browsers are at capacity', 503);
+		}
+
+		return new Promise((resolve, reject) => {
+			const waiting = {
+				resolve,
+				timeout: setTimeout(() => {
+					waitingClients.splice(waitingClients.indexOf(waiting), 1);
+					stats.rejections += 1;
+
+					reject(new HttpError(`All browsers are at capacity, none available within ${queueTimeout}ms`, 503));
+				}, queueTimeout),
+			};
+
+			waitingClients.push(waiting);
+		});
+	}
+
+	/* eslint-disable no-param-reassign */
+	async function releaseClient(releasedClient, clientId) {
+		releasedClient.active -= 1;
+
+		if (releasedClient.isRetired && releasedClient.active === 0) {
+			retiredClients.delete(releasedClient);
+
+			await releasedClient.browser.close();
+			logger.info(`Browser ${releasedClient.id} retired by ${clientId}`);
+		}
+
+		drainQueue();
+	}
+	/* eslint-enable no-param-reassign */
+
+	async function cycleBrowser(index) {
+		const poolClient = pool[index];
 
 		try {
-			const pid = client.browser.process().pid;
+			const pid = poolClient.browser.process().pid;
 			const pids = await pidTree(pid, { root: true });
 			const usages = await pidUsage(pids);
 			const memoryUsage = Math.round(Object.values(usages).reduce((acc, usage) => acc + usage.memory, 0) / 1024 / 1024); // MB
 
+			poolClient.memory = memoryUsage;
+
 			if (memoryUsage >= memoryLimit) {
-				logger.info(`Cycling browser at ${memoryUsage.toLocaleString()}MB / ${memoryLimit.toLocaleString()}MB`);
+				logger.info(`Cycling browser ${poolClient.id} at ${memoryUsage.toLocaleString()}MB / ${memoryLimit.toLocaleString()}MB`);
 
-				const retiredClient = client;
+				const retiredClient = poolClient;
 				retiredClient.isRetired = true;
 
 				try {
-					client = await getClient();
+					pool[index] = await getClient();
+					stats.recycles += 1;
+
+					drainQueue();
 
 					if (retiredClient.active === 0) {
 						await retiredClient.browser.close();
 					} else {
+						retiredClients.add(retiredClient);
+
 						// don't await promise timeout to maintain monitor loop pace
 						setTimeout(async () => {
 							if (retiredClient.active > 0) {
-								logger.warn(`Force closing retired browser with ${retiredClient.active} clients`);
+								logger.warn(`Force closing retired browser ${retiredClient.id} with ${retiredClient.active} clients`);
+
+								retiredClients.delete(retiredClient);
 								await retiredClient.browser.close();
 							}
 						}, 300_000); // 5 minutes
@@ -115,39 +524,90 @@ async function initServer() {
 					logger.warn(`Failed to retire client: ${error.message}`);
 
 					retiredClient.isRetired = false;
-					client = retiredClient;
 				}
 			} else {
-				logger.debug(`Reusing browser at ${memoryUsage.toLocaleString()}MB / ${memoryLimit.toLocaleString()}MB`);
+				logger.debug(`Reusing browser ${poolClient.id} at ${memoryUsage.toLocaleString()}MB / ${memoryLimit.toLocaleString()}MB`);
 			}
 		} catch (error) {
 			logger.info(`No browser PID, probably relaunching: ${error.message}`);
 		}
+	}
+
+	async function monitorBrowsers() {
+		await timers.setTimeout(60_000); // 1 minute
+		await Promise.all(pool.map((_poolClient, index) => cycleBrowser(index)));
 
-		monitorBrowser();
+		monitorBrowsers();
 	}
 
-	monitorBrowser();
+	monitorBrowsers();
+
+	function getStatus() {
+		return {
+			version: pkg.version,
+			uptime: Math.round(process.uptime()), // seconds
+			startedAt: stats.startedAt,
+			clients: Array.from(connections.values()),
+			queued: waitingClients.length,
+			rejections: stats.rejections,
+			browsers: [...pool, ...retiredClients].map((poolClient) => ({
+				id: poolClient.id,
+				isRetired: poolClient.isRetired,
+				clients: poolClient.active,
+				memory: poolClient.memory,
+				launchedAt: poolClient.launchedAt,
+			})),
+			recycles: stats.recycles,
+			navigations: stats.navigations,
+		};
+	}
 
-	expressWs(app);
-	app.use(express.json());
+	// runs before the websocket upgrade, so clients beyond capacity get a proper HTTP status they can retry on
+	async function verifyClient({ req }, callback) {
+		if (getRoutePath(req.url) !== '/browser') {
+			callback(true);
+			return;
+		}
 
-	app.use(async (req, _res, next) => {
-		if (process.env.UNPRINT_KEY && req.path !== '/') {
-			if (!req.headers['unprint-key']) {
-				logger.warn(`Unauthenticated request from ${req.ip}`);
+		try {
+			authenticate(req);
 
-				throw new HttpError('Missing key', 401);
+			const acquiredClient = await acquireClient();
+
+			if (req.socket.destroyed) {
+				// client gave up while queued
+				await releaseClient(acquiredClient, 'queue');
+				callback(false);
+				return;
 			}
 
-			if (process.env.UNPRINT_KEY.length !== req.headers['unprint-key'].length || !crypto.timingSafeEqual(
-				Buffer.from(process.env.UNPRINT_KEY, 'utf16le'),
-				Buffer.from(req.headers['unprint-key'], 'utf16le'),
-			)) {
-				logger.warn(`Invalid key from ${req.ip}`);
+			// the upgrade can still fail without a connection, release the browser unless the handler claims it
+			const releaseUnclaimed = () => {
+				connectionClients.delete(req);
+				releaseClient(acquiredClient, 'failed upgrade');
+			};
 
-				throw new HttpError('Invalid key', 401);
-			}
+			req.socket.once('close', releaseUnclaimed);
+			connectionClients.set(req, { client: acquiredClient, releaseUnclaimed });
+
+			callback(true);
+		} catch (error) {
+			logger.warn(`Rejected connection from ${req.socket.remoteAddress}: ${error.message}`);
+			callback(false, error.httpCode || 500, error.message);
+		}
+	}
+
+	expressWs(app, null, {
+		wsOptions: {
+			verifyClient,
+		},
+	});
+
+	app.use(express.json({ limit: bodyLimit }));
+
+	app.use(async (req, _res, next) => {
+		if (req.path !== '/') {
+			authenticate(req);
 		}
 
 		next();
@@ -157,6 +617,105 @@ async function initServer() {
 		res.send(`unprint ${pkg.version}`);
 	});
 
+	app.get('/status', (_req, res) => {
+		res.send(getStatus());
+	});
+
+	app.get('/metrics', (_req, res) => {
+		res.type('text/plain; version=0.0.4').send(formatMetrics(getStatus()));
+	});
+
+	app.post('/scrape', async (req, res) => {
+		const { url, options } = req.body || {};
+
+		if (typeof url !== 'string') {
+			throw new HttpError('Missing or invalid URL', 400);
+		}
+
+		getFetchUrl(url);
+
+		const curatedOptions = curateScrapeOptions(options);
+		const currentClient = await acquireClient();
+
+		logger.info(`Scrape ${url}`);
+
+		stats.navigations += 1;
+
+		try {
+			// single-use connection to the current browser, so retiring it works the same as for socket clients
+			const scrapeRes = await scraper.browser(url, {
+				...curatedOptions,
+				client: null,
+				useProxy: true,
+				proxy: {
+					enable: true,
+					url: scrapeProxyUrl,
+				},
+				useRemote: true,
+				remote: {
+					enable: true,
+					address: currentClient.endpoint,
+				},
+			});
+
+			res.send(curateScrapeResponse(scrapeRes));
+		} finally {
+			await releaseClient(currentClient, `scrape of ${url}`);
+		}
+	});
+
+	app.post('/fetch', async (req, res) => {
+		// without a key, anyone who can reach the server could use it as an open proxy
+		if (!process.env.UNPRINT_KEY) {
+			throw new HttpError('Fetching is disabled, set UNPRINT_KEY to enable it', 403);
+		}
+
+		const {
+			url,
+			method = 'GET',
+			headers = {},
+			body = null,
+			bodyEncoding,
+			timeout,
+		} = req.body || {};
+
+		const fetchUrl = getFetchUrl(url);
+		const controller = new AbortController();
+
+		logger.info(`Fetch ${method} ${fetchUrl.href}`);
+
+		// stop the upstream request when the client goes away
+		res.on('close', () => controller.abort());
+
+		let fetchRes;
+
+		try {
+			fetchRes = await undici.request(fetchUrl, {
+				method,
+				headers: Object.fromEntries(Object.entries(headers).filter(([key]) => !fetchOmitHeaders.includes(key.toLowerCase()))),
+				body: body && bodyEncoding === 'base64' ? Buffer.from(body, 'base64') : body,
+				headersTimeout: timeout,
+				bodyTimeout: timeout,
+				dispatcher: fetchAgent,
+				signal: controller.signal,
+			});
+		} catch (error) {
+			throw new HttpError(`Fetch failed: ${error.cause?.message || error.message}`, 502);
+		}
+
+		res.set({
+			'unprint-status': fetchRes.statusCode,
+			'unprint-status-text': http.STATUS_CODES[fetchRes.statusCode] || '',
+			'unprint-headers': JSON.stringify(fetchRes.headers).replace(/[\u007f-\uffff]/g, (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`), // header values must be ASCII
+		});
+
+		try {
+			await pipeline(fetchRes.body, res);
+		} catch (error) {
+			logger.warn(`Fetch of ${fetchUrl.href} interrupted: ${error.message}`);
+		}
+	});
+
 	app.use((error, _req, res, _next) => {
 		logger.error(error);
 
@@ -166,16 +725,36 @@ async function initServer() {
 		});
 	});
 
-	app.ws('/browser', (clientSocket, _req) => {
-		const currentClient = client;
+	app.ws('/browser', (clientSocket, req) => {
+		const assignment = connectionClients.get(req);
+
+		if (!assignment) {
+			logger.warn(`No browser assigned to connection from ${req.socket.remoteAddress}`);
+			closeSocket(clientSocket, 1011, 'No browser assigned');
+
+			return;
+		}
+
+		connectionClients.delete(req);
+		req.socket.off('close', assignment.releaseUnclaimed);
+
+		const currentClient = assignment.client;
 		const browserSocket = new WebSocket(currentClient.endpoint);
 
 		const clientId = hri.random();
 		let queue = [];
 
-		logger.info('Client connected', clientId);
+		const connection = {
+			id: clientId,
+			browser: currentClient.id,
+			ip: req.socket.remoteAddress,
+			connectedAt: new Date(),
+			navigations: 0,
+		};
 
-		currentClient.active += 1;
+		connections.set(clientId, connection);
+
+		logger.info(`Client connected to browser ${currentClient.id}`, clientId);
 
 		clientSocket.on('message', (message) => {
 			logger.debug(`Socket data (${browserSocket.readyState === WebSocket.OPEN ? 'sent' : 'queued'}): ${message}`, clientId);
@@ -191,6 +770,9 @@ async function initServer() {
 
 				if (data.method === 'goto' && data.params) {
 					logger.info(`Goto ${data.params.url}`, clientId);
+
+					connection.navigations += 1;
+					stats.navigations += 1;
 				}
 			} catch (error) {
 				// no action needed
@@ -213,14 +795,10 @@ async function initServer() {
 		clientSocket.on('close', async (code, reason) => {
 			closeSocket(browserSocket, code, reason);
 
-			currentClient.active -= 1;
-
 			logger.info('Client disconnected', clientId);
 
-			if (currentClient.isRetired && currentClient.active === 0) {
-				await currentClient.browser.close();
-				logger.info(`Browser retired by ${clientId}`);
-			}
+			connections.delete(clientId);
+			await releaseClient(currentClient, clientId);
 		});
 
 		browserSocket.on('close', (code, reason) => {
@@ -239,6 +817,10 @@ async function initServer() {
 		}
 
 		logger.info(`unprint server listening on http://${host}:${port}`);
+
+		if (!process.env.UNPRINT_KEY) {
+			logger.warn('UNPRINT_KEY is not set, the server accepts unauthenticated clients and /fetch is disabled');
+		}
 	});
 }
 
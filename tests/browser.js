@@ -1,5 +1,8 @@
 'use strict';
 
+const os = require('os');
+const path = require('path');
+
 const unprint = require('../src/app');
 
 unprint.options({ // or unprint.options();
@@ -86,6 +89,92 @@ async function initTest() {
 	console.log('CARD TITLES', cards);
 	console.log('CONTROL OUT', res.control);
 	*/
+	console.log('TEST ACTIONS');
+	const actionsRes = await unprint.browser('https://www.scrapingcourse.com/ecommerce/', {
+		actions: [
+			{ waitFor: '.product' },
+			{ click: '#consent', optional: true, timeout: 1000 },
+			{ waitForNetworkIdle: true },
+			{ evaluate: [(selector) => document.querySelectorAll(selector).length, '.product'] }, // eslint-disable-line no-undef
+		],
+	});
+
+	console.log('ACTIONS PRODUCTS', actionsRes.context?.query.count('.product'));
+
+	console.log('TEST SCREENSHOT');
+	const screenshotRes = await unprint.browser('https://www.scrapingcourse.com/ecommerce/', {
+		screenshot: { selector: '.product', type: 'jpeg' },
+		pdf: true,
+	});
+
+	console.log('SCREENSHOT', screenshotRes.screenshot?.length, 'PDF', screenshotRes.pdf?.length);
+
+	const debugRes = await unprint.browser('https://tools-httpstatus.pickup-services.com/404', {
+		debugDir: path.resolve(os.tmpdir(), 'unprint-debug'),
+	});
+
+	console.log('DEBUG FILES', debugRes.debugFiles);
+
+	console.log('TEST BLOCK');
+	const blockRes = await unprint.browser('https://www.scrapingcourse.com/ecommerce/', {
+		block: {
+			preset: 'assets',
+			urlPatterns: [/\.css$/],
+		},
+	});
+
+	console.log('BLOCKED REQUESTS', blockRes.blocked);
+
+	console.log('TEST POST');
+	const postRes = await unprint.browser('https://httpbin.org/post', {
+		method: 'post',
+		body: { query: 'unprint' },
+		form: true,
+	});
+
+	console.log('POST FORM', postRes.context?.query.text('pre'));
+
+	console.log('TEST SCROLL');
+	const scrollRes = await unprint.browser('https://www.scrapingcourse.com/infinite-scrolling', {
+		scroll: {
+			item: '.product-item',
+			maxItems: 50,
+		},
+		selectAll: '.product-item',
+	});
+
+	console.log('SCROLL', scrollRes.scroll, scrollRes.context?.length);
+
+	console.log('TEST CAPTURE');
+	const captureRes = await unprint.browser('https://www.scrapingcourse.com/infinite-scrolling', {
+		capture: {
+			urlPatterns: [/ajax/],
+			count: 1,
+		},
+		async control(page) {
+			await page.mouse.wheel(0, 10000);
+		},
+	});
+
+	console.log('CAPTURED RESPONSES', captureRes.captured?.map((captured) => captured.url));
+
+	console.log('TEST SESSION');
+	await unprint.browser('https://tools-httpstatus.pickup-services.com/200', {
+		session: 'test',
+		async control(page) {
+			await page.evaluate('localStorage.setItem("unprint", "session")');
+		},
+	});
+
+	const sessionRes = await unprint.browser('https://tools-httpstatus.pickup-services.com/200', {
+		session: 'test',
+		async control(page) {
+			return page.evaluate('localStorage.getItem("unprint")');
+		},
+	});
+
+	console.log('SESSION LOCAL STORAGE', sessionRes.control);
+
 	console.log('CLOSING ALL BROWSERS');
 
 	await unprint.closeAllBrowsers();
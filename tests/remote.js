@@ -40,6 +40,24 @@ async function init() {
 		useRemote: true,
 	});
 
+	const scrapeRes = await unprint.browser('https://www.google.com', {
+		useRemote: true,
+		remote: {
+			mode: 'http',
+		},
+		actions: [{ waitFor: 'form' }],
+		block: 'assets',
+		screenshot: true,
+	});
+
+	console.log('scrape', scrapeRes.status, scrapeRes.blocked, scrapeRes.screenshot?.length, scrapeRes.context?.query.exists('form'));
+
+	const fetchRes = await unprint.get('https://jsonplaceholder.typicode.com/todos/1', {
+		useRemote: true,
+	});
+
+	console.log('fetch', fetchRes.status, fetchRes.data);
+
 	await unprint.closeAllBrowsers();
 }
 